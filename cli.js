@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { spawnSync } = require('child_process');
+
+const USAGE = `Usage: hubspot-sync <command> [options]
+
+Commands:
+  auth      Connect a HubSpot account through OAuth and save the tokens to the token file
+  sync      Export changes since the last sync (everything on the first run)
+  export    Export without reading or updating the sync state, e.g. one pipeline or a date range
+  webhooks  Receive HubSpot webhooks and apply the changes to the export as they happen
+  daemon    Sync on a schedule into dated snapshots, with OUTPUT_DIR/latest pointing at the newest
+  check     Check the token's scopes against what the export reads and list exports that would be incomplete
+  status    Show the last sync per object type and any interrupted run
+  verify    Check the last run's files against its manifest and the export for missing or partial activities
+  profiles  List the portal profiles defined in profiles.json
+
+Options:
+  -p, --profile <name>         Use a portal profile from profiles.json; "auth" creates it if needed
+      --all-profiles           Run the command for every profile in turn
+  -o, --output-dir <dir>       Directory to write to (OUTPUT_DIR); with profiles, the parent of their folders
+  -b, --batch-size <n>         Records per page (BATCH_SIZE)
+  -t, --object-types <list>    Object types to export, e.g. deals,contacts (OBJECT_TYPES)
+  -f, --format <format>        json, sqlite, csv or ndjson (OUTPUT_FORMAT)
+      --concurrency <n>        Records processed in parallel (CONCURRENCY)
+      --since <date>           Only records modified at or after this date (MODIFIED_SINCE)
+      --until <date>           Only records modified at or before this date (MODIFIED_UNTIL)
+      --pipeline <ids>         Only deals in these pipelines (DEAL_PIPELINES)
+      --stage <ids>            Only deals in these stages (DEAL_STAGES)
+      --owner <ids>            Only deals with these owners (DEAL_OWNERS)
+      --deal-ids <ids>         Only these deals (DEAL_IDS)
+      --full                   Ignore the sync state and resync everything (FULL_SYNC)
+  -n, --dry-run                Show what would be exported without writing anything (DRY_RUN)
+      --download-content       Download email bodies, call recordings and attachments (DOWNLOAD_CONTENT)
+      --strict                 Stop before exporting if a missing scope would leave an export incomplete (STRICT_SCOPES)
+      --log-level <level>      debug, info, warn or error (LOG_LEVEL)
+      --log-format <format>    text, or json for one JSON object per line (LOG_FORMAT)
+      --sample <n>             verify: also compare n random records per object type with HubSpot (VERIFY_SAMPLE)
+      --headless               auth: print the authorization URL and read the code from stdin (OAUTH_HEADLESS)
+      --schedule <cron>        daemon: when to sync, e.g. "0 */6 * * *" or @daily (SYNC_SCHEDULE)
+  -h, --help                   Show this help
+
+Lists are comma-separated and list options can be repeated. Dates are ISO 8601 (2024-05-01 or
+2024-05-01T12:00:00Z) or milliseconds since the epoch. Options override the matching variables in .env.`;
+
+// Command-line options and the environment variables they set
+const OPTIONS = {
+  'profile': { type: 'string', short: 'p' },
+  'all-profiles': { type: 'boolean' },
+  'output-dir': { type: 'string', short: 'o', env: 'OUTPUT_DIR' },
+  'batch-size': { type: 'string', short: 'b', env: 'BATCH_SIZE' },
+  'object-types': { type: 'string', short: 't', env: 'OBJECT_TYPES', multiple: true },
+  'format': { type: 'string', short: 'f', env: 'OUTPUT_FORMAT' },
+  'concurrency': { type: 'string', env: 'CONCURRENCY' },
+  'since': { type: 'string', env: 'MODIFIED_SINCE' },
+  'until': { type: 'string', env: 'MODIFIED_UNTIL' },
+  'pipeline': { type: 'string', env: 'DEAL_PIPELINES', multiple: true },
+  'stage': { type: 'string', env: 'DEAL_STAGES', multiple: true },
+  'owner': { type: 'string', env: 'DEAL_OWNERS', multiple: true },
+  'deal-ids': { type: 'string', env: 'DEAL_IDS', multiple: true },
+  'full': { type: 'boolean', env: 'FULL_SYNC' },
+  'dry-run': { type: 'boolean', short: 'n', env: 'DRY_RUN' },
+  'strict': { type: 'boolean', env: 'STRICT_SCOPES' },
+  'download-content': { type: 'boolean', env: 'DOWNLOAD_CONTENT' },
+  'log-level': { type: 'string', env: 'LOG_LEVEL' },
+  'log-format': { type: 'string', env: 'LOG_FORMAT' },
+  'sample': { type: 'string', env: 'VERIFY_SAMPLE' },
+  'headless': { type: 'boolean', env: 'OAUTH_HEADLESS' },
+  'schedule': { type: 'string', env: 'SYNC_SCHEDULE' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+// Options that only make sense for commands talking to HubSpot
+const SYNC_OPTIONS = ['since', 'until', 'pipeline', 'stage', 'owner', 'deal-ids', 'full', 'dry-run', 'strict'];
+
+// Commands that can run for every profile
+const PROFILE_COMMANDS = ['sync', 'export', 'check', 'status', 'verify'];
+
+// Configuration is read from the environment, so options are applied there before it is loaded.
+// Returns the variables that were set.
+function applyOptions(values) {
+  const variables = new Set();
+  for (const [name, value] of Object.entries(values)) {
+    const option = OPTIONS[name];
+    if (!option.env) {
+      continue;
+    }
+    process.env[option.env] = Array.isArray(value) ? value.join(',') : String(value);
+    variables.add(option.env);
+  }
+  return variables;
+}
+
+// Run the command once per profile, each in its own process since a sync's configuration
+// and clients are set up when it starts
+function runForAllProfiles(argv) {
+  const { loadProfiles } = require('./lib/profiles');
+  const names = Object.keys(loadProfiles());
+  if (names.length === 0) {
+    console.error('No profiles defined, add them to profiles.json or run "auth --profile <name>"');
+    return 1;
+  }
+
+  const failed = [];
+  for (const name of names) {
+    console.log(`=== Profile ${name} ===`);
+    const result = spawnSync(process.execPath, [...process.execArgv, __filename, ...argv.filter(arg => arg !== '--all-profiles'), '--profile', name], {
+      stdio: 'inherit'
+    });
+    if (result.status !== 0) {
+      failed.push(name);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`Failed for profiles: ${failed.join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+// The library (index.js) configured from the environment and .env, logging to the console
+function createLibrarySync() {
+  const { HubSpotSync, loadConfig } = require('.');
+  const { setupLogging } = require('./lib/logger');
+  const config = loadConfig();
+  setupLogging({ level: config.logLevel, format: config.logFormat });
+  return new HubSpotSync({ config, logger: console });
+}
+
+function printProblems(problems, print = console.error) {
+  for (const { path, problem } of problems) {
+    print(`${path}: ${problem}`);
+  }
+}
+
+function printProfiles() {
+  const { loadProfiles } = require('./lib/profiles');
+  const profiles = loadProfiles();
+  const names = Object.keys(profiles);
+  if (names.length === 0) {
+    console.log('No profiles defined');
+  }
+  for (const name of names) {
+    const { portalId, outputDir } = profiles[name];
+    console.log(`${name}: ${portalId ? `portal ${portalId}` : 'not authorized yet'}${outputDir ? `, output in ${outputDir}` : ''}`);
+  }
+}
+
+function printStatus(status) {
+  console.log(`Output directory: ${status.outputDir}`);
+  for (const { objectType, lastRunAt, lastRunMode } of status.objectTypes) {
+    console.log(lastRunAt
+      ? `  ${objectType}: last ${lastRunMode} sync started ${lastRunAt}`
+      : `  ${objectType}: never synced`);
+  }
+
+  if (status.lastRun) {
+    const { status: runStatus, runStartedAt, finishedAt, failedRecords, files } = status.lastRun;
+    console.log(`Last run: ${runStatus}, started ${runStartedAt}, finished ${finishedAt}, ${files} files written, ${failedRecords} records failed`);
+  }
+
+  if (status.interrupted) {
+    console.log(`Unfinished run started ${status.interrupted.startedAt}, the next sync resumes it:`);
+    for (const [objectType, progress] of Object.entries(status.interrupted.objects)) {
+      console.log(`  ${objectType}: ${progress.recordsFetched} records fetched${progress.recordsComplete ? '' : ' so far'}, ` +
+        `${progress.finished} finished, ${progress.failed} failed`);
+    }
+  }
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { env, ...option }]) => [name, option])),
+      allowPositionals: true
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...extra] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (extra.length > 0) {
+    console.error(`Unexpected arguments: ${extra.join(' ')}\n\n${USAGE}`);
+    return 1;
+  }
+
+  // A sync filtered to part of the portal would move the high-water marks past records it skipped
+  const filters = ['since', 'until', 'pipeline', 'stage', 'owner', 'deal-ids'].filter(name => values[name] !== undefined);
+  if (['sync', 'daemon'].includes(command) && filters.length > 0) {
+    console.error(`--${filters[0]} selects part of the portal, use "export" instead of "${command}"`);
+    return 1;
+  }
+  const misplaced = SYNC_OPTIONS.filter(name => values[name] !== undefined);
+  if (['auth', 'webhooks', 'check', 'status', 'verify', 'profiles'].includes(command) && misplaced.length > 0) {
+    console.error(`--${misplaced[0]} can't be used with "${command}"`);
+    return 1;
+  }
+  // Webhook changes download content too, and check looks for the files scope it needs
+  if (values['download-content'] && !['sync', 'export', 'webhooks', 'daemon', 'check'].includes(command)) {
+    console.error(`--download-content can't be used with "${command}"`);
+    return 1;
+  }
+  if (values.headless && command !== 'auth') {
+    console.error(`--headless can only be used with "auth"`);
+    return 1;
+  }
+  // A dry run writes nothing, so the daemon would promote an unchanged copy as a new snapshot
+  if (values['dry-run'] && command === 'daemon') {
+    console.error(`--dry-run can't be used with "daemon", use "sync --dry-run" instead`);
+    return 1;
+  }
+  if (values.schedule !== undefined && command !== 'daemon') {
+    console.error(`--schedule can only be used with "daemon"`);
+    return 1;
+  }
+  if (values.sample !== undefined && command !== 'verify') {
+    console.error(`--sample can only be used with "verify"`);
+    return 1;
+  }
+  if (values['all-profiles'] && (values.profile || !PROFILE_COMMANDS.includes(command))) {
+    console.error(`--all-profiles can't be used with ${values.profile ? '--profile' : `"${command}"`}`);
+    return 1;
+  }
+
+  if (values['all-profiles']) {
+    return runForAllProfiles(argv);
+  }
+
+  const flagVariables = applyOptions(values);
+
+  // --output-dir is where the profile's folder goes, other options override the profile
+  if (values.profile) {
+    const { applyProfile } = require('./lib/profiles');
+    flagVariables.delete('OUTPUT_DIR');
+    applyProfile(values.profile, { keep: flagVariables, allowUnknown: command === 'auth' });
+  }
+
+  switch (command) {
+    case 'auth':
+      require('./hubspot-oauth').run();
+      return null;
+
+    case 'sync':
+      return require('.').EXIT_CODES[await createLibrarySync().sync()];
+
+    case 'export':
+      return require('.').EXIT_CODES[await createLibrarySync().export()];
+
+    case 'webhooks':
+      await require('./hubspot-webhooks').run();
+      return null;
+
+    case 'daemon':
+      return require('./hubspot-daemon').run();
+
+    case 'check': {
+      const { problems } = await createLibrarySync().checkScopes();
+      return problems.length > 0 ? 1 : 0;
+    }
+
+    case 'status': {
+      const { loadConfig } = require('./lib/config');
+      const { getStatus } = require('./lib/status');
+      printStatus(await getStatus(loadConfig()));
+      return 0;
+    }
+
+    case 'verify': {
+      const { verifyManifest, verifyExport } = require('./lib/verify');
+      const hubSpotSync = createLibrarySync();
+      const { config } = hubSpotSync;
+      const { outputDir } = config;
+      const { checked, problems } = await verifyManifest(outputDir);
+      printProblems(problems);
+      console.log(`Checked ${checked} files in ${outputDir} against the manifest, ${problems.length} problems found`);
+
+      // The content checks read the JSON file tree
+      if (config.outputFormat !== 'json') {
+        console.log(`Activities and live samples are only checked in the json output format, not ${config.outputFormat}`);
+        return problems.length > 0 ? 1 : 0;
+      }
+      const exportCheck = await verifyExport(outputDir, config);
+      printProblems(exportCheck.notes, console.warn);
+      printProblems(exportCheck.problems);
+      console.log(`Checked ${exportCheck.records} records and ${exportCheck.activityFiles} activities files, ${exportCheck.problems.length} problems found`);
+      let problemCount = problems.length + exportCheck.problems.length;
+
+      if (config.verifySample > 0) {
+        const liveCheck = await hubSpotSync.verifySample(config.verifySample);
+        for (const { record, problem } of liveCheck.problems) {
+          console.error(`${record}: ${problem}`);
+        }
+        console.log(`Compared ${liveCheck.checked} records with HubSpot, ${liveCheck.problems.length} differences found`);
+        problemCount += liveCheck.problems.length;
+      }
+      return problemCount > 0 ? 1 : 0;
+    }
+
+    case 'profiles':
+      printProfiles();
+      return 0;
+
+    default:
+      console.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+// auth and webhooks (null) leave the exit code to the scripts they run
+main(process.argv.slice(2)).then(exitCode => {
+  if (exitCode !== null) {
+    process.exitCode = exitCode;
+  }
+}).catch(error => {
+  console.error('Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,146 @@
+const { HubSpotSync } = require('.');
+const { loadConfig } = require('./lib/config');
+const { setupLogging } = require('./lib/logger');
+const { LOCKED, acquireLock } = require('./lib/lock');
+const { parseSchedule } = require('./lib/schedule');
+const { prepareStaging, promoteStaging, applyRetention } = require('./lib/snapshots');
+
+// Long-running sync on a cron schedule (SYNC_SCHEDULE). Every run is an incremental sync into a
+// staging copy of the latest snapshot under OUTPUT_DIR, which becomes a new dated snapshot once
+// the run completed, so OUTPUT_DIR/latest always points at a complete export. Snapshots beyond
+// the retention policy are deleted. The lock file keeps runs from overlapping with each other
+// and with syncs started from the CLI.
+
+// A dry run writes nothing, so promoting its staging directory would make an unchanged copy the
+// latest snapshot and let retention delete real ones
+function checkNotDryRun(config) {
+  if (config.dryRun) {
+    throw new Error('The daemon can\'t do dry runs (DRY_RUN), use "hubspot-sync sync --dry-run" instead');
+  }
+}
+
+// Longest single timer; waits for a distant run are split so the clock is checked again
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+// One scheduled run: sync into the staging directory and promote it to a snapshot on success.
+// baseConfig was loaded from env, which configures the run with OUTPUT_DIR set to the staging
+// directory. Returns the run's status, or 'skipped' while another run holds the lock.
+async function runOnce(baseConfig, env = process.env) {
+  checkNotDryRun(baseConfig);
+  const rootDir = baseConfig.outputDir;
+  let releaseLock;
+  try {
+    releaseLock = await acquireLock(baseConfig.lockFile);
+  } catch (error) {
+    if (error.code !== LOCKED) {
+      throw error;
+    }
+    console.warn(`Skipping this run: ${error.message}`);
+    return 'skipped';
+  }
+
+  try {
+    const startedAt = new Date();
+    const staging = await prepareStaging(rootDir);
+    console.log(staging.resumed
+      ? `Resuming the unfinished run in ${staging.dir}`
+      : `Staging the run in ${staging.dir}${staging.base ? `, starting from snapshot ${staging.base}` : ''}`);
+
+    // Everything the run writes goes to the staging directory; the daemon holds the lock
+    const config = { ...loadConfig({ ...env, OUTPUT_DIR: staging.dir }), lockFile: null };
+    const status = await new HubSpotSync({ config, logger: console }).sync();
+    if (status !== 'completed') {
+      console.warn(`Run ${status}, the latest snapshot is unchanged; the next run resumes from ${staging.dir}`);
+      return status;
+    }
+
+    const name = await promoteStaging(rootDir, startedAt);
+    console.log(`Snapshot ${name} is now the latest`);
+    const removed = await applyRetention(rootDir, baseConfig.daemon);
+    if (removed.length > 0) {
+      console.log(`Removed ${removed.length} snapshots past the retention policy: ${removed.join(', ')}`);
+    }
+    return status;
+  } finally {
+    await releaseLock();
+  }
+}
+
+// Run on the schedule until SIGINT or SIGTERM. A signal during a run lets it finish first.
+async function run() {
+  const baseConfig = loadConfig();
+  setupLogging({ level: baseConfig.logLevel, format: baseConfig.logFormat });
+  checkNotDryRun(baseConfig);
+  const schedule = parseSchedule(baseConfig.daemon.schedule);
+
+  let stopping = false;
+  let running = false;
+  let timer = null;
+  let wake = null;
+  function stop() {
+    stopping = true;
+    console.log(running ? 'Stopping after the current run...' : 'Stopping');
+    clearTimeout(timer);
+    if (wake) {
+      wake();
+    }
+  }
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  function sleepUntil(date) {
+    return new Promise(resolve => {
+      wake = resolve;
+      const check = () => {
+        const remaining = date.getTime() - Date.now();
+        if (stopping || remaining <= 0) {
+          resolve();
+        } else {
+          timer = setTimeout(check, Math.min(remaining, MAX_SLEEP_MS));
+        }
+      };
+      check();
+    });
+  }
+
+  console.log(`Daemon started with schedule "${schedule.expression}", snapshots in ${baseConfig.outputDir}`);
+  let failedRuns = 0;
+  while (!stopping) {
+    const nextRun = schedule.next(new Date());
+    console.log(`Next run at ${nextRun.toISOString()}`);
+    await sleepUntil(nextRun);
+    if (stopping) {
+      break;
+    }
+
+    running = true;
+    try {
+      const status = await runOnce(baseConfig);
+      failedRuns = status === 'failed' ? failedRuns + 1 : 0;
+    } catch (error) {
+      // The daemon keeps going; the next run starts over or resumes the staging directory
+      failedRuns++;
+      console.error('Run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+  process.removeListener('SIGINT', stop);
+  process.removeListener('SIGTERM', stop);
+  return failedRuns > 0 ? 1 : 0;
+}
+
+// Run when started directly (npm run daemon); the CLI requires this module instead
+if (require.main === module) {
+  run().then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  run,
+  runOnce
+};
@@ -1,16 +1,15 @@
+const crypto = require('crypto');
+const readline = require('readline');
 const express = require('express');
-const fs = require('fs').promises;
 const { Client } = require('@hubspot/api-client');
 const open = require('open');
-require('dotenv').config();
+const { loadConfig } = require('./lib/config');
+const { createTokenManagerFromConfig } = require('./lib/tokens');
+const { portalTokenFile, savePortalId } = require('./lib/profiles');
 
-// OAuth configuration from environment variables
-const HUBSPOT_CLIENT_ID = process.env.HUBSPOT_CLIENT_ID;
-const HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET;
-const HUBSPOT_REDIRECT_URI = process.env.HUBSPOT_REDIRECT_URI || 'http://localhost:3000/oauth-callback';
-// Request only read permissions, no write permissions
-// You can customize this list based on the scopes enabled in your HubSpot app
-const SCOPES = process.env.HUBSPOT_SCOPES || 'crm.objects.deals.read crm.objects.contacts.read crm.objects.companies.read sales-email-read';
+// Default scopes: only read permissions, no write permissions.
+// You can customize this list (HUBSPOT_SCOPES) based on the scopes enabled in your HubSpot app.
+const DEFAULT_SCOPES = 'crm.objects.deals.read crm.objects.contacts.read crm.objects.companies.read sales-email-read';
 
 // For reference, here are available READ-ONLY scopes:
 // Basic CRM: 'crm.objects.deals.read crm.objects.contacts.read crm.objects.companies.read'
@@ -22,227 +21,331 @@ const SCOPES = process.env.HUBSPOT_SCOPES || 'crm.objects.deals.read crm.objects
 // Marketing: 'marketing.automation'
 // Tickets: 'tickets'
 
-// Create HubSpot client instance
-const hubspotClient = new Client();
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
 
-// Create Express app for handling OAuth callback
-const app = express();
-const PORT = 3000;
+function sendError(res, status, message) {
+  res.status(status).send(`
+    <h1>Error</h1>
+    <p>${escapeHtml(message)}</p>
+    <a href="/">Try again</a>
+  `);
+}
 
-// Variables to store the tokens
-let tokens = {};
+// The URL the browser was redirected to, or just its query string; it carries the state to check
+// along with the code
+function parsePastedCode(input) {
+  const text = input.trim();
+  const query = text.includes('?') ? text.slice(text.indexOf('?') + 1) : text;
+  const params = new URLSearchParams(query.split('#')[0]);
+  return {
+    code: params.get('code'),
+    state: params.get('state'),
+    error: params.get('error_description') || params.get('error')
+  };
+}
 
-// Check if we have existing tokens in .env file
-async function checkExistingTokens() {
-  try {
-    const dotEnvContent = await fs.readFile('.env', 'utf8');
-    const accessToken = dotEnvContent.match(/HUBSPOT_ACCESS_TOKEN=(.+)/);
-    const refreshToken = dotEnvContent.match(/HUBSPOT_REFRESH_TOKEN=(.+)/);
-    const expiresAt = dotEnvContent.match(/HUBSPOT_TOKEN_EXPIRES_AT=(.+)/);
-    
-    if (accessToken && refreshToken && expiresAt) {
-      console.log('Found existing tokens in .env file');
-      return {
-        accessToken: accessToken[1],
-        refreshToken: refreshToken[1],
-        expiresAt: parseInt(expiresAt[1], 10)
-      };
-    }
-    return null;
-  } catch (error) {
-    // File doesn't exist or other error
-    return null;
-  }
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
 }
 
-// Update .env file with new tokens
-async function updateEnvFile(tokens) {
-  try {
-    let dotEnvContent;
-    
-    try {
-      dotEnvContent = await fs.readFile('.env', 'utf8');
-    } catch (error) {
-      // If .env doesn't exist, create it from example
-      try {
-        dotEnvContent = await fs.readFile('.env.example', 'utf8');
-      } catch (error) {
-        dotEnvContent = `
-HUBSPOT_CLIENT_ID=${HUBSPOT_CLIENT_ID}
-HUBSPOT_CLIENT_SECRET=${HUBSPOT_CLIENT_SECRET}
-HUBSPOT_REDIRECT_URI=${HUBSPOT_REDIRECT_URI}
-
-# OAuth tokens
-HUBSPOT_ACCESS_TOKEN=
-HUBSPOT_REFRESH_TOKEN=
-HUBSPOT_TOKEN_EXPIRES_AT=
-
-# Configuration
-OUTPUT_DIR=./data
-BATCH_SIZE=100
-`;
-      }
+// The OAuth flow for one authorization, configured from env (HUBSPOT_CLIENT_ID, HUBSPOT_REDIRECT_URI,
+// HUBSPOT_SCOPES, HUBSPOT_PROFILE, OAUTH_HEADLESS). Tokens are stored by the same token manager the
+// sync reads them with. The token manager and client can be passed in, e.g. pointed at the test
+// suite's stand-in; readInput(question) reads the pasted URL in headless mode, and onAuthorized(stored)
+// runs once the callback server stored the tokens.
+function createOAuth({
+  env = process.env,
+  config = loadConfig(env),
+  logger = console,
+  tokens = createTokenManagerFromConfig(config, { logger }),
+  hubspotClient = new Client({ basePath: config.apiBaseUrl }),
+  readInput = prompt,
+  onAuthorized = () => {}
+} = {}) {
+  const redirectUri = env.HUBSPOT_REDIRECT_URI || 'http://localhost:3000/oauth-callback';
+  const scopes = env.HUBSPOT_SCOPES || DEFAULT_SCOPES;
+
+  // Profile being authorized, set by the CLI's --profile option
+  const profile = env.HUBSPOT_PROFILE;
+  const syncCommand = profile ? `hubspot-sync sync --profile ${profile}` : 'npm start';
+
+  // Headless mode (no browser on this machine): print the authorization URL and read the code from stdin
+  const headless = env.OAUTH_HEADLESS === 'true';
+
+  // The callback server listens on the port and path of the redirect URI
+  const redirectUrl = new URL(redirectUri);
+  const port = Number(redirectUrl.port) || (redirectUrl.protocol === 'https:' ? 443 : 80);
+  const callbackPath = redirectUrl.pathname;
+  const serverUrl = `http://localhost:${port}`;
+
+  // Random state sent with the authorization request; a callback without it didn't come from
+  // the authorization we started (CSRF), and it can only be used once
+  const expectedState = crypto.randomBytes(16).toString('hex');
+  let stateUsed = false;
+
+  function checkState(state) {
+    if (stateUsed) {
+      return 'This authorization was already completed, start again';
     }
-    
-    // Update token values
-    dotEnvContent = dotEnvContent.replace(/HUBSPOT_ACCESS_TOKEN=(.*)/, `HUBSPOT_ACCESS_TOKEN=${tokens.accessToken}`);
-    dotEnvContent = dotEnvContent.replace(/HUBSPOT_REFRESH_TOKEN=(.*)/, `HUBSPOT_REFRESH_TOKEN=${tokens.refreshToken}`);
-    dotEnvContent = dotEnvContent.replace(/HUBSPOT_TOKEN_EXPIRES_AT=(.*)/, `HUBSPOT_TOKEN_EXPIRES_AT=${tokens.expiresAt}`);
-    
-    // Write updated content back to .env
-    await fs.writeFile('.env', dotEnvContent);
-    console.log('Updated .env file with new tokens');
-  } catch (error) {
-    console.error('Error updating .env file:', error);
+    // Compared as bytes: timingSafeEqual throws on buffers of different lengths, which a state with
+    // non-ASCII characters can have even when its length in characters matches
+    const received = Buffer.from(typeof state === 'string' ? state : '');
+    const expected = Buffer.from(expectedState);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return 'Invalid state parameter, the request did not come from this authorization. Start again';
+    }
+    return null;
   }
-}
 
-// Refresh the access token if it's expired
-async function refreshAccessToken(refreshToken) {
-  try {
-    console.log('Refreshing access token...');
-    const result = await hubspotClient.oauth.tokensApi.create(
-      'refresh_token',
-      undefined,
+  function getAuthUrl() {
+    return hubspotClient.oauth.getAuthorizationUrl(
+      config.clientId,
+      redirectUri,
+      scopes,
       undefined,
-      HUBSPOT_CLIENT_ID,
-      HUBSPOT_CLIENT_SECRET,
-      refreshToken
+      expectedState
     );
-    
-    const tokens = {
-      accessToken: result.accessToken,
-      refreshToken: result.refreshToken,
-      expiresAt: Date.now() + (result.expiresIn * 1000)
-    };
-    
-    await updateEnvFile(tokens);
-    return tokens;
-  } catch (error) {
-    console.error('Error refreshing token:', error);
-    return null;
   }
-}
 
-// Routes
-app.get('/', (req, res) => {
-  const authUrl = hubspotClient.oauth.getAuthorizationUrl(
-    HUBSPOT_CLIENT_ID,
-    HUBSPOT_REDIRECT_URI,
-    SCOPES
-  );
-  
-  console.log('Auth URL:', authUrl);
-  console.log('Scopes requested:', SCOPES);
-  
-  res.send(`
-    <h1>HubSpot OAuth</h1>
-    <p>Click the button below to authorize this app with your HubSpot account.</p>
-    <p>Requested scopes: ${SCOPES}</p>
-    <p>Redirect URI: ${HUBSPOT_REDIRECT_URI}</p>
-    <a href="${authUrl}" style="display: inline-block; padding: 10px 15px; background-color: #ff7a59; color: white; text-decoration: none; border-radius: 4px;">
-      Connect to HubSpot
-    </a>
-    <p style="margin-top: 20px; color: #666;">
-      <strong>Troubleshooting:</strong> If you get authorization errors, make sure:
-      <ul>
-        <li>The redirect URL in your HubSpot app settings exactly matches: ${HUBSPOT_REDIRECT_URI}</li>
-        <li>All scopes listed above are enabled in your HubSpot app</li>
-      </ul>
-    </p>
-  `);
-});
-
-app.get('/oauth-callback', async (req, res) => {
-  const code = req.query.code;
-  
-  try {
-    const tokensResponse = await hubspotClient.oauth.tokensApi.create(
-      'authorization_code',
-      code,
-      HUBSPOT_REDIRECT_URI,
-      HUBSPOT_CLIENT_ID,
-      HUBSPOT_CLIENT_SECRET
-    );
-    
-    tokens = {
-      accessToken: tokensResponse.accessToken,
-      refreshToken: tokensResponse.refreshToken,
-      expiresAt: Date.now() + (tokensResponse.expiresIn * 1000)
-    };
+  // Exchange the code for tokens; a profile's tokens are stored under the portal ID they were issued for
+  async function completeAuthorization(code) {
+    stateUsed = true;
+    const stored = await tokens.exchangeCode(code, redirectUri, profile ? portalTokenFile : undefined);
+    if (profile) {
+      await savePortalId(profile, stored.portalId);
+    }
+    return stored;
+  }
+
+  function printSuccess(stored) {
+    logger.log(`Authorization successful! Access tokens for portal ${stored.portalId} have been saved to ${tokens.tokenFile()}.`);
+    logger.log(`You can now run the sync script with: ${syncCommand}`);
+  }
+
+  // Create Express app for handling OAuth callback
+  const app = express();
+
+  // Routes
+  app.get('/', (req, res) => {
+    const authUrl = getAuthUrl();
     
-    await updateEnvFile(tokens);
+    logger.log('Auth URL:', authUrl);
+    logger.log('Scopes requested:', scopes);
     
     res.send(`
-      <h1>Authorization Successful!</h1>
-      <p>Your HubSpot account has been connected. The access tokens have been saved.</p>
-      <p>You can now close this window and run the sync script with:</p>
-      <pre style="background: #f1f1f1; padding: 10px; border-radius: 4px;">npm start</pre>
+      <h1>HubSpot OAuth</h1>
+      <p>Click the button below to authorize this app with your HubSpot account.</p>
+      <p>Requested scopes: ${escapeHtml(scopes)}</p>
+      <p>Redirect URI: ${escapeHtml(redirectUri)}</p>
+      <a href="${escapeHtml(authUrl)}" style="display: inline-block; padding: 10px 15px; background-color: #ff7a59; color: white; text-decoration: none; border-radius: 4px;">
+        Connect to HubSpot
+      </a>
+      <p style="margin-top: 20px; color: #666;">
+        <strong>Troubleshooting:</strong> If you get authorization errors, make sure:
+        <ul>
+          <li>The redirect URL in your HubSpot app settings exactly matches: ${escapeHtml(redirectUri)}</li>
+          <li>All scopes listed above are enabled in your HubSpot app</li>
+        </ul>
+      </p>
+      <p><a href="/status">Check the current token</a></p>
     `);
+  });
+
+  app.get(callbackPath, async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    // HubSpot redirects back with an error when the user denies access or the app is misconfigured
+    if (error) {
+      logger.error(`Authorization failed: ${error}${errorDescription ? ` (${errorDescription})` : ''}`);
+      return sendError(res, 400, `HubSpot returned an error: ${errorDescription || error}`);
+    }
+    const stateProblem = checkState(state);
+    if (stateProblem) {
+      logger.error(`Rejected OAuth callback: ${stateProblem}`);
+      return sendError(res, 400, stateProblem);
+    }
+    if (!code) {
+      return sendError(res, 400, 'The callback did not include an authorization code');
+    }
     
-    // Wait a few seconds before shutting down the server
-    setTimeout(() => {
-      console.log('Authorization successful! Access tokens have been saved to .env file.');
-      console.log('You can now run the sync script with: npm start');
-      process.exit(0);
-    }, 5000);
-  } catch (error) {
-    console.error('Error getting access token:', error);
-    res.status(500).send(`
-      <h1>Error</h1>
-      <p>Failed to get access token: ${error.message}</p>
-      <a href="/">Try again</a>
-    `);
-  }
-});
-
-// Main function
-async function main() {
-  console.log('Checking for existing tokens...');
-  const existingTokens = await checkExistingTokens();
-  
-  if (existingTokens) {
-    // If tokens exist but are expired, refresh them
-    if (existingTokens.expiresAt < Date.now()) {
-      console.log('Tokens expired, refreshing...');
-      const refreshedTokens = await refreshAccessToken(existingTokens.refreshToken);
+    try {
+      const stored = await completeAuthorization(code);
       
-      if (refreshedTokens) {
-        console.log('Tokens refreshed successfully!');
-        console.log('You can now run the sync script with: npm start');
-        return;
+      res.send(`
+        <h1>Authorization Successful!</h1>
+        <p>HubSpot portal ${escapeHtml(stored.portalId)} has been connected. The access tokens have been saved.</p>
+        <p>You can now close this window and run the sync script with:</p>
+        <pre style="background: #f1f1f1; padding: 10px; border-radius: 4px;">${escapeHtml(syncCommand)}</pre>
+        <p><a href="/status">Show the granted scopes</a></p>
+      `);
+      onAuthorized(stored);
+    } catch (error) {
+      logger.error('Error getting access token:', error);
+      // The code can't be used again, so a retry needs a new authorization
+      stateUsed = false;
+      sendError(res, 500, `Failed to get access token: ${error.message}`);
+    }
+  });
+
+  // The portal and scopes HubSpot reports for the stored token, compared to the scopes requested
+  app.get('/status', async (req, res) => {
+    try {
+      const info = await tokens.getTokenInfo();
+      if (!info) {
+        return res.send(`
+          <h1>Token status</h1>
+          <p>No tokens stored yet. <a href="/">Connect to HubSpot</a></p>
+        `);
+      }
+
+      const granted = info.scopes || [];
+      const missing = scopes.split(/\s+/).filter(scope => scope && !granted.includes(scope));
+      res.send(`
+        <h1>Token status</h1>
+        <p>Portal: ${escapeHtml(info.hubId)}${info.hubDomain ? ` (${escapeHtml(info.hubDomain)})` : ''}</p>
+        <p>Authorized by: ${escapeHtml(info.user || 'unknown')}</p>
+        <p>Token file: ${escapeHtml(tokens.tokenFile())}</p>
+        <p>Access token expires in ${escapeHtml(Math.round((info.expiresIn || 0) / 60))} minutes</p>
+        <h2>Granted scopes</h2>
+        <ul>${granted.map(scope => `<li>${escapeHtml(scope)}</li>`).join('')}</ul>
+        ${missing.length > 0 ? `<p style="color: #c00;">Requested but not granted: ${escapeHtml(missing.join(' '))}</p>` : ''}
+      `);
+    } catch (error) {
+      logger.error('Error getting token info:', error.message);
+      sendError(res, 500, `Failed to get token info: ${error.message}`);
+    }
+  });
+
+  // Authorize without a local browser: the user opens the URL anywhere, and the page HubSpot
+  // redirects to (which won't load on that machine) has the code in its address bar
+  async function authorizeHeadless() {
+    logger.log('Open this URL in a browser and authorize the app:');
+    logger.log(`\n  ${getAuthUrl()}\n`);
+    logger.log(`Scopes requested: ${scopes}`);
+    logger.log(`HubSpot then redirects to ${redirectUri}?code=...; that page may not load.`);
+
+    const { code, state, error } = parsePastedCode(await readInput('Paste the whole URL from the address bar: '));
+    if (error) {
+      throw new Error(`HubSpot returned an error: ${error}`);
+    }
+    const stateProblem = checkState(state);
+    if (stateProblem) {
+      throw new Error(stateProblem);
+    }
+    if (!code) {
+      throw new Error('No authorization code given');
+    }
+
+    const stored = await completeAuthorization(code);
+    printSuccess(stored);
+    return stored;
+  }
+
+  // Use the stored tokens when they are valid or can be refreshed, otherwise start the OAuth flow
+  async function main() {
+    logger.log('Checking for existing tokens...');
+    await tokens.load();
+    
+    if (tokens.canRefresh()) {
+      // If tokens exist but are (about to be) expired, refresh them
+      if (tokens.expiresSoon()) {
+        logger.log('Tokens expired, refreshing...');
+        try {
+          await tokens.refresh();
+          logger.log('Tokens refreshed successfully!');
+          logger.log(`You can now run the sync script with: ${syncCommand}`);
+          return;
+        } catch (error) {
+          logger.error('Error refreshing token:', error.message);
+          logger.log('Failed to refresh tokens. Starting OAuth flow...');
+        }
       } else {
-        console.log('Failed to refresh tokens. Starting OAuth flow...');
+        // Tokens exist and are valid
+        logger.log('Existing tokens are valid!');
+        logger.log(`You can now run the sync script with: ${syncCommand}`);
+        return;
       }
     } else {
-      // Tokens exist and are valid
-      console.log('Existing tokens are valid!');
-      console.log('You can now run the sync script with: npm start');
+      logger.log('No valid tokens found. Starting OAuth flow...');
+    }
+    
+    if (headless) {
+      await authorizeHeadless();
       return;
     }
-  } else {
-    console.log('No valid tokens found. Starting OAuth flow...');
+
+    if (redirectUrl.protocol !== 'http:') {
+      logger.warn(`The redirect URI ${redirectUri} isn't plain http, so it must be forwarded to port ${port} of this server`);
+    }
+
+    // Start the server for OAuth flow
+    const server = app.listen(port, () => {
+      logger.log(`OAuth server running at ${serverUrl} (callback ${callbackPath})`);
+      logger.log('Opening browser to start OAuth flow...');
+      
+      // Open the browser to start OAuth flow
+      open(serverUrl);
+    });
+    server.on('error', error => {
+      logger.error(`Could not start the OAuth server on port ${port} (from HUBSPOT_REDIRECT_URI): ${error.message}`);
+      process.exit(1);
+    });
   }
-  
-  // Start the server for OAuth flow
-  app.listen(PORT, () => {
-    console.log(`OAuth server running at http://localhost:${PORT}`);
-    console.log('Opening browser to start OAuth flow...');
-    
-    // Open the browser to start OAuth flow
-    open(`http://localhost:${PORT}`);
+
+  return {
+    app,
+    state: expectedState,
+    getAuthUrl,
+    authorizeHeadless,
+    main,
+    printSuccess
+  };
+}
+
+// Check if we have all required configuration, then run the OAuth flow
+function run() {
+  const config = loadConfig();
+  if (!config.clientId || !config.clientSecret) {
+    console.error('Error: HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET must be set in .env file');
+    console.log('Please create a .env file based on .env.example and add your HubSpot API credentials');
+    process.exit(1);
+  }
+
+  // --headless when started directly (npm run auth -- --headless); the CLI sets OAUTH_HEADLESS
+  const env = process.argv.includes('--headless') ? { ...process.env, OAUTH_HEADLESS: 'true' } : process.env;
+  const oauth = createOAuth({
+    env,
+    config,
+    // Wait a few seconds before shutting down the server, so the success page is delivered
+    onAuthorized: stored => setTimeout(() => {
+      oauth.printSuccess(stored);
+      process.exit(0);
+    }, 5000)
+  });
+  oauth.main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
   });
 }
 
-// Check if we have all required configuration
-if (!HUBSPOT_CLIENT_ID || !HUBSPOT_CLIENT_SECRET) {
-  console.error('Error: HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET must be set in .env file');
-  console.log('Please create a .env file based on .env.example and add your HubSpot API credentials');
-  process.exit(1);
+// Run when started directly (npm run auth); the CLI requires this module instead
+if (require.main === module) {
+  run();
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('Error:', error);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = {
+  createOAuth,
+  run
+};
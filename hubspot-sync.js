@@ -1,357 +1,1658 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { Client } = require('@hubspot/api-client');
-require('dotenv').config();
-
-// Configuration
-const config = {
-  accessToken: process.env.HUBSPOT_ACCESS_TOKEN,      // API token (from Private App or OAuth)
-  refreshToken: process.env.HUBSPOT_REFRESH_TOKEN,    // OAuth refresh token
-  clientId: process.env.HUBSPOT_CLIENT_ID,            // OAuth client ID
-  clientSecret: process.env.HUBSPOT_CLIENT_SECRET,    // OAuth client secret
-  tokenExpiresAt: process.env.HUBSPOT_TOKEN_EXPIRES_AT ? parseInt(process.env.HUBSPOT_TOKEN_EXPIRES_AT, 10) : null,
-  outputDir: process.env.OUTPUT_DIR || './data',      // Directory to store the exported data
-  batchSize: process.env.BATCH_SIZE ? parseInt(process.env.BATCH_SIZE, 10) : 100, // Number of records to fetch per request
-  includeAssociations: true,                          // Whether to include associated records
+const { loadSyncState, saveSyncState } = require('./lib/sync-state');
+const {
+  RECORD_STATUS,
+  loadCheckpoint,
+  appendCheckpoint,
+  clearCheckpoint,
+  getObjectProgress,
+  isRecordFinished
+} = require('./lib/checkpoint');
+const { createRequestStats, createRequester } = require('./lib/request');
+const { runPool } = require('./lib/pool');
+const { getObjectTypeDefinition } = require('./lib/object-types');
+const { loadConfig, hasDealFilter } = require('./lib/config');
+const { createTokenManagerFromConfig } = require('./lib/tokens');
+const { createOutput } = require('./lib/outputs');
+const { createStorage } = require('./lib/storage');
+const { logFields, setupLogging } = require('./lib/logger');
+const { writeMetricsFile } = require('./lib/metrics');
+const { MERGED_IDS_PROPERTY, loadRecordIds, saveRecordIds, collectMergedIds, findRemovedRecords } = require('./lib/removals');
+const { getScopeRequirements, findMissingScopes, findDeniedObjectTypes } = require('./lib/scopes');
+const { acquireLock } = require('./lib/lock');
+const { REDACTION_REPORT, loadRedactionPolicy, createRedactor, withRedaction } = require('./lib/redaction');
+const { readRecords, readActivities, sample } = require('./lib/verify');
+const {
+  CONTENT_TOO_LARGE,
+  contentProperties,
+  attachmentsDir,
+  safeFileName,
+  listContent,
+  writeContent,
+  downloadFile
+} = require('./lib/content');
+const { normalizeHistory, indexPipelineStages, buildStageTransitions } = require('./lib/history');
+const {
+  readPropertyFilter,
+  selectProperties,
+  exceedsQueryLimit,
+  summarizeSchema
+} = require('./lib/properties');
+
+// Recorded in the manifest, so an export can be traced back to the code that wrote it
+const { version } = require('./package.json');
+
+// Changes made while a run is in progress may not be visible to search yet,
+// so the next incremental run looks back this far before the previous start
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+// The search API refuses to page past 10,000 results for a single query
+const SEARCH_RESULT_LIMIT = 10000;
+
+// Records whose activities are fetched together, one association request per activity type
+const ACTIVITY_BATCH_SIZE = 100;
+
+// Failed records listed in the manifest; the count covers all of them
+const MAX_MANIFEST_FAILURES = 1000;
+
+// Exit codes of a run, so cron and CI can alert on failures
+const EXIT_CODES = {
+  completed: 0,
+  failed: 1,     // The run stopped on an error
+  incomplete: 2  // Some records failed to export, the next run retries them
 };
 
-// Update .env file with new tokens
-async function updateEnvFile(tokens) {
-  try {
-    let dotEnvContent = await fs.readFile('.env', 'utf8');
+// Create a sync for a configuration from lib/config. The token manager (OAuth tokens from the
+// token file, or a Private App token), HubSpot client, storage sink and output backend are built
+// from it unless given, e.g. by tests; config.apiBaseUrl sends the client's requests elsewhere.
+// The access token is set on the client before every request.
+// Messages go to logger (console-like). With events (an EventEmitter), the sync also emits
+// 'progress' as records are fetched and processed, 'error' for failed records and runs, and
+// 'finish' with the manifest of each run.
+function createSync({
+  config,
+  logger = console,
+  events = null,
+  tokens = createTokenManagerFromConfig(config, { logger }),
+  hubspotClient = new Client({ basePath: config.apiBaseUrl }),
+  storage = createStorage(config.storage, { outputDir: config.outputDir, s3: config.s3, logger }),
+  output = createOutput(config.outputFormat, { storage, databaseFile: config.sqliteFile, activityTypes: config.activityTypes, logger })
+}) {
+  // With REDACTION_POLICY, records and engagements are redacted before the output writes them
+  const redactor = config.redactionPolicyFile
+    ? createRedactor(loadRedactionPolicy(config.redactionPolicyFile), { salt: config.redactionSalt, policyFile: config.redactionPolicyFile })
+    : null;
+  if (redactor) {
+    output = withRedaction(output, redactor);
+  }
+
+  // An 'error' event without a listener would throw, so errors are only emitted to listeners
+  function emit(name, payload) {
+    if (events && (name !== 'error' || events.listenerCount('error') > 0)) {
+      events.emit(name, payload);
+    }
+  }
+
+  // Every API call goes through this wrapper for retries, rate limits and token refresh.
+  // A 401 refreshes the token the request was sent with, unless a parallel request already did.
+  // apiStats counts the calls of this sync; runs report the difference.
+  const apiStats = createRequestStats();
+  const callApi = createRequester({
+    maxRetries: config.maxRetries,
+    baseDelayMs: config.retryBaseDelayMs,
+    stats: apiStats,
+    logger,
+    beforeRequest: async () => {
+      const accessToken = await tokens.getAccessToken();
+      hubspotClient.setAccessToken(accessToken);
+      return accessToken;
+    },
+    onUnauthorized: async (rejectedToken) => {
+      if (!tokens.canRefresh()) {
+        throw new Error('Access token rejected and there is no refresh token to renew it');
+      }
+      await tokens.refresh(rejectedToken);
+    }
+  });
+
+  // Ensure output directory exists
+  async function ensureDirectoryExists(directory) {
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      logger.log(`Directory created: ${directory}`);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  // The API treats an empty list differently from no list, so omit empty ones
+  function listOrUndefined(list) {
+    return list && list.length > 0 ? list : undefined;
+  }
+
+  // Property definitions fetched during this run, by object type, and the writes saving them
+  const propertySchemas = new Map();
+  const savedSchemas = new Map();
+
+  // Fetch the property definitions of an object type once per run and save them next to the data,
+  // unless save is false (the iterators write nothing)
+  async function getPropertySchema(objectType, save = true) {
+    if (!propertySchemas.has(objectType)) {
+      propertySchemas.set(objectType, callApi(
+        () => hubspotClient.crm.properties.coreApi.getAll(objectType, false),
+        `${objectType} properties`
+      ).then(response => response.results));
+    }
+    const schema = await propertySchemas.get(objectType);
+    if (save && !savedSchemas.has(objectType)) {
+      savedSchemas.set(objectType, output.writeSchema(objectType, summarizeSchema(schema)));
+    }
+    await savedSchemas.get(objectType);
+    return schema;
+  }
+
+  // Resolve the property names to request for an object type or activity type
+  async function getProperties(objectType, { save = true } = {}) {
+    const isActivity = !config.objectTypes.includes(objectType);
+    const mode = isActivity ? config.activityPropertyMode : config.propertyMode;
+    const defaults = isActivity ? [] : getObjectTypeDefinition(objectType).properties;
+    const filter = readPropertyFilter(objectType, config.propertyFilters);
     
-    // Update token values
-    dotEnvContent = dotEnvContent.replace(/HUBSPOT_ACCESS_TOKEN=(.*)/, `HUBSPOT_ACCESS_TOKEN=${tokens.accessToken}`);
-    dotEnvContent = dotEnvContent.replace(/HUBSPOT_REFRESH_TOKEN=(.*)/, `HUBSPOT_REFRESH_TOKEN=${tokens.refreshToken}`);
-    dotEnvContent = dotEnvContent.replace(/HUBSPOT_TOKEN_EXPIRES_AT=(.*)/, `HUBSPOT_TOKEN_EXPIRES_AT=${tokens.expiresAt}`);
+    let schema;
+    try {
+      schema = await getPropertySchema(objectType, save);
+    } catch (error) {
+      // The schema is only essential when it decides which properties to export
+      if (mode === 'all' && !filter.include) {
+        throw error;
+      }
+      logger.warn(`Could not fetch ${objectType} property definitions: ${error.message}`);
+      schema = [];
+    }
+    
+    const properties = selectProperties(schema, defaults, mode, filter);
     
-    // Write updated content back to .env
-    await fs.writeFile('.env', dotEnvContent);
-    console.log('Updated .env file with new tokens');
-  } catch (error) {
-    console.error('Error updating .env file:', error);
+    // Merges are detected through the IDs a record absorbed
+    if (!isActivity && properties && !properties.includes(MERGED_IDS_PROPERTY)) {
+      properties.push(MERGED_IDS_PROPERTY);
+    }
+    return properties;
   }
-}
 
-// Create a refresh interceptor for the HubSpot client
-async function refreshAccessToken() {
-  try {
-    console.log('Refreshing access token...');
-    const tempClient = new Client();
-    const result = await tempClient.oauth.tokensApi.create(
-      'refresh_token',
-      undefined,
-      undefined,
-      config.clientId,
-      config.clientSecret,
-      config.refreshToken
-    );
-    
-    const tokens = {
-      accessToken: result.accessToken,
-      refreshToken: result.refreshToken,
-      expiresAt: Date.now() + (result.expiresIn * 1000)
-    };
+  // Replace the properties of records with ones read through the POST batch API,
+  // for property lists too long to send in a GET query string
+  async function readPropertiesInBatches(objectType, records, properties) {
+    const propertiesById = new Map();
+    const batchSize = 100;
     
-    // Update config with new tokens
-    config.accessToken = tokens.accessToken;
-    config.refreshToken = tokens.refreshToken;
-    config.tokenExpiresAt = tokens.expiresAt;
+    for (let i = 0; i < records.length; i += batchSize) {
+      const batchIds = records.slice(i, i + batchSize).map(record => record.id);
+      const response = await callApi(() => hubspotClient.crm.objects.batchApi.read(
+        objectType,
+        { inputs: batchIds.map(id => ({ id })), properties }
+      ), `${objectType} batch read`);
+      response.results.forEach(result => propertiesById.set(result.id, result.properties));
+    }
     
-    // Update .env file
-    await updateEnvFile(tokens);
+    for (const record of records) {
+      if (propertiesById.has(record.id)) {
+        record.properties = propertiesById.get(record.id);
+      }
+    }
+    return records;
+  }
+
+  // Page through all records of an object type, optionally from a saved cursor. Yields each
+  // page's records with the cursor of the next page (undefined after the last one).
+  async function* iterateObjectPages(objectType, after, { save = true } = {}) {
+    const definition = getObjectTypeDefinition(objectType);
+    const properties = await getProperties(objectType, { save });
+    const readSeparately = exceedsQueryLimit(properties);
     
-    return tokens.accessToken;
-  } catch (error) {
-    console.error('Error refreshing token:', error);
-    throw error;
+    do {
+      // Get records with only read permissions
+      const response = await callApi(() => hubspotClient.crm.objects.basicApi.getPage(
+        objectType,
+        config.batchSize, 
+        after, 
+        readSeparately ? undefined : properties, 
+        undefined,
+        config.includeAssociations ? listOrUndefined(definition.associations) : undefined
+      ), `${objectType} page`);
+      
+      if (readSeparately) {
+        await readPropertiesInBatches(objectType, response.results, properties);
+      }
+      
+      after = response.paging && response.paging.next ? response.paging.next.after : undefined;
+      yield { after, records: response.results };
+    } while (after);
   }
-}
 
-// Initialize HubSpot client
-const hubspotClient = new Client({ accessToken: config.accessToken });
+  // Page through all records of an object type, optionally resuming from a saved cursor.
+  // onPage is called with the next cursor and the page's records, so callers can stream
+  // pages to disk instead of holding every record in memory. Returns the record count.
+  async function getAllObjects(objectType, { after, fetchedCount = 0, onPage }) {
+    logger.log(after ? `Resuming ${objectType} fetch after ${fetchedCount} records...` : `Fetching ${objectType}...`);
+    let count = fetchedCount;
+    
+    try {
+      for await (const page of iterateObjectPages(objectType, after)) {
+        count += page.records.length;
+        await onPage(page.after, page.records);
+        
+        logger.log(`Retrieved ${count} ${objectType} so far...`);
+        emit('progress', { objectType, phase: 'records', fetched: count });
+      }
+      
+      logger.log(`Total ${objectType} retrieved: ${count}`);
+      return count;
+    } catch (error) {
+      logger.error(`Error fetching ${objectType}:`, error.message);
+      throw error;
+    }
+  }
 
-// Add token refresh handling
-if (config.refreshToken && config.clientId && config.clientSecret) {
-  hubspotClient.setAccessToken(config.accessToken);
-  
-  // Check if token needs refresh before starting
-  if (config.tokenExpiresAt && config.tokenExpiresAt < Date.now()) {
-    console.log('Access token expired, refreshing before starting...');
-    refreshAccessToken().then(newToken => {
-      hubspotClient.setAccessToken(newToken);
-      console.log('Token refreshed successfully');
-    }).catch(error => {
-      console.error('Failed to refresh token, please run oauth flow again:', error);
-      process.exit(1);
+  // Every record of an object type, one at a time, as an export reads them. Nothing is written.
+  async function* iterateObjects(objectType) {
+    await loadTokens();
+    for await (const page of iterateObjectPages(objectType, undefined, { save: false })) {
+      yield* page.records;
+    }
+  }
+
+  // The activities of a record as { type, engagement, associationTypes }, one activity type after
+  // another, with the properties an export reads. Nothing is written.
+  async function* iterateActivities(objectType, objectId) {
+    await loadTokens();
+    const id = String(objectId);
+    for (const type of config.activityTypes) {
+      const associations = (await getAssociationsBatch(objectType, type, [id])).get(id);
+      if (associations.length === 0) {
+        continue;
+      }
+      const properties = await getProperties(type, { save: false });
+      for (let i = 0; i < associations.length; i += 100) {
+        const batch = associations.slice(i, i + 100);
+        const response = await callApi(() => hubspotClient.crm.objects.batchApi.read(
+          type,
+          { inputs: batch.map(association => ({ id: String(association.toObjectId) })), properties }
+        ), `${type} batch read`);
+        // Engagements deleted since they were associated are left out
+        const engagements = new Map(response.results.map(engagement => [String(engagement.id), engagement]));
+        for (const association of batch) {
+          const engagement = engagements.get(String(association.toObjectId));
+          if (engagement) {
+            yield { type, engagement, associationTypes: association.associationTypes };
+          }
+        }
+      }
+    }
+  }
+
+  // Search API filters narrowing an export beyond the start date: the MODIFIED_UNTIL bound for
+  // every type and the deal filter for deals. Explicit deal IDs are split into several filter
+  // lists since IN accepts at most 100 values; each list is searched separately.
+  function getSearchFilterSets(objectType, modifiedProperty) {
+    const filters = [];
+    if (config.modifiedUntil) {
+      filters.push({ propertyName: modifiedProperty, operator: 'LTE', value: String(config.modifiedUntil) });
+    }
+    if (objectType !== 'deals') {
+      return [filters];
+    }
+    
+    const { pipelines, stages, owners, ids } = config.dealFilter;
+    const valueFilters = [['pipeline', pipelines], ['dealstage', stages], ['hubspot_owner_id', owners]];
+    for (const [propertyName, values] of valueFilters) {
+      if (values.length > 0) {
+        filters.push({ propertyName, operator: 'IN', values });
+      }
+    }
+    if (ids.length === 0) {
+      return [filters];
+    }
+    
+    const filterSets = [];
+    for (let i = 0; i < ids.length; i += 100) {
+      filterSets.push([...filters, { propertyName: 'hs_object_id', operator: 'IN', values: ids.slice(i, i + 100) }]);
+    }
+    return filterSets;
+  }
+
+  // Whether an object type is limited to the search results rather than listed in full
+  function isFilteredExport(objectType) {
+    return Boolean(config.modifiedUntil) || (objectType === 'deals' && hasDealFilter(config.dealFilter));
+  }
+
+  // Search for IDs of objects modified at or after a timestamp (ms since epoch, or null for any
+  // time) that also match the given filters
+  async function searchModifiedSince(objectType, since, modifiedProperty = 'hs_lastmodifieddate', filters = []) {
+    const ids = new Set();
+    let cursorSince = since;
+    let after;
+    let lastModified;
+
+    while (true) {
+      const sinceFilters = cursorSince ? [{ propertyName: modifiedProperty, operator: 'GTE', value: String(cursorSince) }] : [];
+      const response = await callApi(() => hubspotClient.crm.objects.searchApi.doSearch(objectType, {
+        filterGroups: [{
+          filters: [...sinceFilters, ...filters]
+        }],
+        sorts: [{ propertyName: modifiedProperty, direction: 'ASCENDING' }],
+        properties: [modifiedProperty],
+        limit: 100,
+        after
+      }), `${objectType} search`);
+
+      for (const result of response.results) {
+        ids.add(result.id);
+        lastModified = result.properties[modifiedProperty];
+      }
+
+      if (!response.paging || !response.paging.next) {
+        break;
+      }
+
+      after = response.paging.next.after;
+
+      // Restart the query from the last seen modification date once we hit the
+      // search window limit; results are sorted, so nothing is skipped
+      if (parseInt(after, 10) >= SEARCH_RESULT_LIMIT) {
+        cursorSince = new Date(lastModified).getTime();
+        after = undefined;
+      }
+    }
+
+    logger.log(since
+      ? `Found ${ids.size} ${objectType} modified since ${new Date(since).toISOString()}`
+      : `Found ${ids.size} matching ${objectType}`);
+    return [...ids];
+  }
+
+  // Count the records a run would export, using the total reported by the search API
+  async function countMatchingObjects(objectType, since) {
+    const definition = getObjectTypeDefinition(objectType);
+    let total = 0;
+    for (const filters of getSearchFilterSets(objectType, definition.modifiedProperty)) {
+      const sinceFilters = since ? [{ propertyName: definition.modifiedProperty, operator: 'GTE', value: String(since) }] : [];
+      const response = await callApi(() => hubspotClient.crm.objects.searchApi.doSearch(objectType, {
+        filterGroups: [{ filters: [...sinceFilters, ...filters] }],
+        properties: ['hs_object_id'],
+        limit: 1
+      }), `${objectType} count`);
+      total += response.total;
+    }
+    return total;
+  }
+
+  // IDs of records archived (deleted) at or after a timestamp, with when they were archived.
+  // The archived listing can't be filtered, so it is paged through in full.
+  async function getArchivedSince(objectType, since) {
+    const archived = [];
+    let after;
+    do {
+      const response = await callApi(() => hubspotClient.crm.objects.basicApi.getPage(
+        objectType,
+        100,
+        after,
+        ['hs_object_id'],
+        undefined,
+        undefined,
+        true
+      ), `archived ${objectType} page`);
+      for (const record of response.results) {
+        if (record.archivedAt && new Date(record.archivedAt).getTime() >= since) {
+          archived.push({ id: String(record.id), archivedAt: new Date(record.archivedAt).toISOString() });
+        }
+      }
+      after = response.paging && response.paging.next ? response.paging.next.after : undefined;
+    } while (after);
+    
+    logger.log(`Found ${archived.length} ${objectType} deleted since ${new Date(since).toISOString()}`);
+    return archived;
+  }
+
+  // Get a single record with the same properties and associations as getAllObjects
+  async function getObject(objectType, objectId) {
+    const definition = getObjectTypeDefinition(objectType);
+    const properties = await getProperties(objectType);
+    const readSeparately = exceedsQueryLimit(properties);
+    
+    const record = await callApi(() => hubspotClient.crm.objects.basicApi.getById(
+      objectType,
+      objectId,
+      readSeparately ? undefined : properties,
+      undefined,
+      config.includeAssociations ? listOrUndefined(definition.associations) : undefined
+    ), `${objectType} ${objectId}`);
+    
+    if (readSeparately) {
+      await readPropertiesInBatches(objectType, [record], properties);
+    }
+    return record;
+  }
+
+  // Read associations for many records at once through the v4 batch API.
+  // Returns a Map of record ID to its associated objects ({ toObjectId, associationTypes }).
+  async function getAssociationsBatch(fromType, toType, ids) {
+    const associationsById = new Map(ids.map(id => [String(id), []]));
+    const batchSize = 100;
+
+    for (let i = 0; i < ids.length; i += batchSize) {
+      let inputs = ids.slice(i, i + batchSize).map(id => ({ id: String(id) }));
+
+      // Records with many associations are paged individually
+      while (inputs.length > 0) {
+        const response = await callApi(() => hubspotClient.crm.associations.v4.batchApi.getPage(
+          fromType,
+          toType,
+          { inputs }
+        ), `${fromType} to ${toType} associations`);
+
+        inputs = [];
+        for (const result of response.results) {
+          associationsById.get(result._from.id).push(...result.to);
+          if (result.paging && result.paging.next) {
+            inputs.push({ id: result._from.id, after: result.paging.next.after });
+          }
+        }
+      }
+    }
+
+    return associationsById;
+  }
+
+  // Get the records of a type that changed since the last sync (or match the export filters),
+  // either directly or, when its activities are exported, through a changed activity
+  async function getModifiedObjects(objectType, since, followActivities) {
+    logger.log(since
+      ? `Fetching ${objectType} modified since ${new Date(since).toISOString()}...`
+      : `Fetching ${objectType} matching the export filters...`);
+    const definition = getObjectTypeDefinition(objectType);
+    const changedIds = new Set();
+    for (const filters of getSearchFilterSets(objectType, definition.modifiedProperty)) {
+      const ids = await searchModifiedSince(objectType, since, definition.modifiedProperty, filters);
+      ids.forEach(id => changedIds.add(id));
+    }
+
+    // A deal filter defines the deals to export, so changed activities can't add others
+    if (followActivities && since && !(objectType === 'deals' && hasDealFilter(config.dealFilter))) {
+      for (const type of config.activityTypes) {
+        const [activityFilters] = getSearchFilterSets(type, 'hs_lastmodifieddate');
+        const activityIds = await searchModifiedSince(type, since, 'hs_lastmodifieddate', activityFilters);
+        if (activityIds.length > 0) {
+          const associationsById = await getAssociationsBatch(type, objectType, activityIds);
+          for (const associated of associationsById.values()) {
+            associated.forEach(to => changedIds.add(String(to.toObjectId)));
+          }
+        }
+      }
+    }
+
+    const records = [];
+    await runPool([...changedIds], config.concurrency, async (objectId) => {
+      try {
+        records.push(await getObject(objectType, objectId));
+      } catch (error) {
+        // A record deleted since the change was recorded no longer resolves
+        logger.warn(`Skipping ${objectType} ${objectId}: ${error.message}`);
+      }
     });
+
+    logger.log(`Total modified ${objectType}: ${records.length}`);
+    return records;
   }
-  
-  // Note: We'll handle token expiration manually instead of using interceptors
-  // The @hubspot/api-client doesn't expose the axios instance directly
-  console.log('Token refresh handling is enabled');
-}
 
-// Ensure output directory exists
-async function ensureDirectoryExists(directory) {
-  try {
-    await fs.mkdir(directory, { recursive: true });
-    console.log(`Directory created: ${directory}`);
-  } catch (error) {
-    if (error.code !== 'EEXIST') {
+  // Content downloaded this run (DOWNLOAD_CONTENT), for the manifest
+  function createContentStats() {
+    return { downloaded: 0, existing: 0, skipped: 0, failed: 0, bytes: 0 };
+  }
+  let contentStats = createContentStats();
+
+  // GET an API path the client has no method for; failures carry the HTTP status in error.code
+  async function getApiPath(apiPath) {
+    const response = await hubspotClient.apiRequest({ method: 'GET', path: apiPath });
+    if (!response.ok) {
+      const error = new Error(`GET ${apiPath} failed with HTTP ${response.status}`);
+      error.code = response.status;
       throw error;
     }
+    return response.json();
   }
-}
 
-// Save data to JSON file
-async function saveToFile(data, filename) {
-  const filePath = path.join(config.outputDir, filename);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-  console.log(`Data saved to ${filePath}`);
-}
+  // Recordings stored by HubSpot need the access token; links to calling providers get none
+  function isHubSpotUrl(url) {
+    return /(^|\.)(hubspot|hubapi)\.com$/.test(new URL(url).hostname);
+  }
 
-// Get all deals with pagination
-async function getAllDeals() {
-  console.log('Fetching deals...');
-  const deals = [];
-  let after;
-  let hasMore = true;
-  
-  try {
-    while (hasMore) {
-      try {
-        // Get deals with only read permissions
-        const response = await hubspotClient.crm.deals.basicApi.getPage(
-          config.batchSize, 
-          after, 
-          ['dealname', 'amount', 'dealstage', 'closedate', 'pipeline', 'createdate'], 
-          config.includeAssociations ? ['contacts', 'companies'] : undefined
-        );
-        
-        deals.push(...response.results);
-        
-        if (response.paging && response.paging.next) {
-          after = response.paging.next.after;
-        } else {
-          hasMore = false;
+  // The largest download allowed now: the per-file limit, or what is left of the run's budget
+  function contentByteLimit() {
+    const left = config.contentRunMaxBytes ? Math.max(0, config.contentRunMaxBytes - contentStats.bytes) : null;
+    return left === null ? config.contentMaxBytes : Math.min(left, config.contentMaxBytes || left);
+  }
+
+  // A file of an engagement downloaded in an earlier run, found by its name prefix
+  async function findDownloaded(dir, prefix) {
+    try {
+      const names = await fs.readdir(storage.localPath(dir));
+      return names.find(name => name.startsWith(prefix) && !name.endsWith('.part')) || null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Save one content item of an engagement under attachments/{engagementId}/ and describe it for
+  // the engagement's attachments list. Files already there from an earlier run are kept as they are.
+  async function saveContentItem(engagementId, item) {
+    const dir = attachmentsDir(engagementId);
+    const link = { kind: item.kind };
+    const maxBytes = contentByteLimit();
+    let fileName = item.fileName;
+    let saved;
+    
+    if (item.content !== undefined) {
+      saved = await writeContent(storage.localPath(path.join(dir, fileName)), item.content, { maxBytes });
+    } else if (item.transcriptId) {
+      link.transcriptId = String(item.transcriptId);
+      const transcript = await callApi(() => getApiPath(`/crm/v3/extensions/calling/transcripts/${encodeURIComponent(item.transcriptId)}`), `transcript ${item.transcriptId}`);
+      saved = await writeContent(storage.localPath(path.join(dir, fileName)), JSON.stringify(transcript, null, 2), { maxBytes });
+    } else {
+      let url = item.url;
+      let headers = {};
+      let expectedSize;
+      if (item.fileId) {
+        // Files are named {fileId}-{name}; the signed URL is only requested when the file isn't there yet
+        link.fileId = item.fileId;
+        fileName = await findDownloaded(dir, `${item.fileId}-`);
+        if (!fileName) {
+          const signed = await callApi(() => hubspotClient.files.filesApi.getSignedUrl(item.fileId), `file ${item.fileId}`);
+          fileName = `${item.fileId}-${safeFileName(signed.extension ? `${signed.name}.${signed.extension}` : signed.name)}`;
+          url = signed.url;
+          expectedSize = signed.size;
         }
-        
-        console.log(`Retrieved ${deals.length} deals so far...`);
+      } else {
+        link.url = item.url;
+        if (isHubSpotUrl(url)) {
+          headers = { Authorization: `Bearer ${await tokens.getAccessToken()}` };
+        }
+      }
+      saved = await callApi(() => downloadFile(url, storage.localPath(path.join(dir, fileName)), { headers, maxBytes, expectedSize }), `${item.kind} of engagement ${engagementId}`);
+    }
+    
+    const relativePath = path.join(dir, fileName).split(path.sep).join('/');
+    if (saved.written) {
+      await storage.publishFile(relativePath);
+      contentStats.downloaded++;
+      contentStats.bytes += saved.size;
+    } else {
+      contentStats.existing++;
+    }
+    return { ...link, path: relativePath, size: saved.size, status: 'downloaded' };
+  }
+
+  // Read the content properties the batch read didn't request (e.g. email bodies with the default
+  // property set) and add them to the engagements
+  async function readContentProperties(type, engagements, properties) {
+    const missing = contentProperties(type).filter(name => !properties || !properties.includes(name));
+    if (missing.length === 0 || engagements.length === 0) {
+      return;
+    }
+    const response = await callApi(() => hubspotClient.crm.objects.batchApi.read(
+      type,
+      { inputs: engagements.map(engagement => ({ id: String(engagement.id) })), properties: missing }
+    ), `${type} content read`);
+    const contentById = new Map((response.results || []).map(result => [String(result.id), result.properties || {}]));
+    for (const engagement of engagements) {
+      const content = contentById.get(String(engagement.id)) || {};
+      engagement.properties = { ...engagement.properties };
+      missing.filter(name => content[name] !== undefined).forEach(name => {
+        engagement.properties[name] = content[name];
+      });
+    }
+  }
+
+  // Download the content of engagements to attachments/{engagementId}/ and list each file, with its
+  // local path, in the engagement's attachments. Files over the size limits are listed as skipped.
+  // Returns the IDs of engagements whose content failed, with the error.
+  async function downloadEngagementContent(type, engagements, properties) {
+    await readContentProperties(type, engagements, properties);
+    const failed = new Map();
+    for (const engagement of engagements) {
+      const attachments = [];
+      const errors = [];
+      let items;
+      try {
+        items = listContent(type, engagement);
       } catch (error) {
-        // Check if error is due to expired token
-        if (error.message && error.message.includes('401') && config.refreshToken) {
-          console.log('Access token expired during request, refreshing...');
-          try {
-            const newToken = await refreshAccessToken();
-            hubspotClient.setAccessToken(newToken);
-            console.log('Token refreshed, retrying request...');
-            // Continue the loop to retry the request
-            continue;
-          } catch (refreshError) {
-            console.error('Failed to refresh token:', refreshError.message);
-            throw refreshError;
+        // Only this engagement's content fails, the rest of the batch is still downloaded
+        contentStats.failed++;
+        failed.set(String(engagement.id), `content: ${error.message}`);
+        logger.error(`Failed to list the content of ${type} ${engagement.id}: ${error.message}`);
+        continue;
+      }
+      for (const item of redactor ? redactor.redactContent(type, items) : items) {
+        try {
+          attachments.push(await saveContentItem(engagement.id, item));
+        } catch (error) {
+          const described = { kind: item.kind, ...(item.fileId ? { fileId: item.fileId } : {}), ...(item.url ? { url: item.url } : {}) };
+          if (error.code === CONTENT_TOO_LARGE) {
+            contentStats.skipped++;
+            attachments.push({ ...described, status: 'skipped', reason: error.message });
+            logger.warn(`Skipping ${item.kind} of ${type} ${engagement.id}: ${error.message}`);
+          } else {
+            contentStats.failed++;
+            attachments.push({ ...described, status: 'failed', error: error.message });
+            errors.push(`${item.kind}: ${error.message}`);
+            logger.error(`Failed to download ${item.kind} of ${type} ${engagement.id}: ${error.message}`);
           }
-        } else {
-          // For other errors, rethrow
-          throw error;
         }
       }
+      if (attachments.length > 0) {
+        engagement.attachments = attachments;
+      }
+      if (errors.length > 0) {
+        failed.set(String(engagement.id), errors.join('; '));
+      }
     }
-    
-    console.log(`Total deals retrieved: ${deals.length}`);
-    return deals;
-  } catch (error) {
-    console.error('Error fetching deals:', error.message);
-    throw error;
+    return failed;
   }
-}
 
-// Helper function to fetch associated objects by type with full content
-async function getAssociatedObjects(dealId, objectType) {
-  try {
-    // First get the association IDs
-    const associations = await hubspotClient.crm.deals.associationsApi.getAll(
-      dealId,
-      objectType
-    );
-    
-    // If we have associations, fetch the actual objects
-    if (associations.results && associations.results.length > 0) {
-      console.log(`Found ${associations.results.length} ${objectType} for deal ${dealId}`);
+  // Read engagements by ID, 100 per batch read, and write them once to the engagement store.
+  // With DOWNLOAD_CONTENT their content is downloaded first and linked from them.
+  // Returns a Map of ID to { found } or, when its batch or content failed, { error }.
+  async function readEngagementBatch(type, ids, properties) {
+    const results = new Map();
+    try {
+      const response = await callApi(() => hubspotClient.crm.objects.batchApi.read(
+        type,
+        { inputs: ids.map(id => ({ id })), properties }
+      ), `${type} batch read`);
+      const objects = response.results || [];
+      const contentErrors = config.downloadContent ? await downloadEngagementContent(type, objects, properties) : new Map();
+      await output.writeEngagements(type, objects);
       
-      // Create an array to hold the full objects
-      const fullObjects = [];
+      const returnedIds = new Set(objects.map(object => String(object.id)));
+      ids.forEach(id => results.set(id, contentErrors.has(id) ? { error: contentErrors.get(id) } : { found: returnedIds.has(id) }));
+    } catch (error) {
+      logger.error(`Error fetching batch of ${type}:`, error.message);
+      ids.forEach(id => results.set(id, { error: error.message }));
+    }
+    return results;
+  }
+
+  // Read the engagements of a type that weren't read yet this run, so one associated with several
+  // records is fetched and stored once. engagementCache holds the reads of the run, by type and ID;
+  // failed ones are dropped from it and read again when referenced next.
+  // Returns a Map of ID to { found } or { error }.
+  async function readEngagements(type, ids, engagementCache) {
+    if (!engagementCache.has(type)) {
+      engagementCache.set(type, new Map());
+    }
+    const cached = engagementCache.get(type);
+    const uniqueIds = [...new Set(ids.map(String))];
+    const pendingIds = uniqueIds.filter(id => !cached.has(id));
+    // Parallel workers referencing the same engagements wait for their read instead of repeating it
+    const readElsewhere = uniqueIds.filter(id => cached.has(id)).map(id => [id, cached.get(id)]);
+    
+    const results = new Map();
+    if (pendingIds.length > 0) {
+      // Request the configured property set, e.g. hs_email_text or hs_call_body
+      const properties = await getProperties(type);
+      for (let i = 0; i < pendingIds.length; i += 100) {
+        const batchIds = pendingIds.slice(i, i + 100);
+        const read = readEngagementBatch(type, batchIds, properties);
+        batchIds.forEach(id => cached.set(id, read.then(batchResults => batchResults.get(id))));
+        for (const [id, result] of await read) {
+          results.set(id, result);
+          if (result.error) {
+            cached.delete(id);
+          }
+        }
+      }
+    }
+    for (const [id, read] of readElsewhere) {
+      results.set(id, await read);
+    }
+    return results;
+  }
+
+  // Fetch the activities of records: their associations through the v4 batch API, 100 records per
+  // request, then the engagements not read yet this run. Returns a Map of record ID to its
+  // activities, which reference the engagements by ID. Per activity type they note a failed read
+  // in error and engagements HubSpot didn't return (e.g. deleted meanwhile) in missing_ids.
+  async function getActivities(objectType, objectIds, engagementCache) {
+    const timestamp = new Date().toISOString();
+    const activitiesById = new Map(objectIds.map(id => [String(id), {
+      // Deal files keep their original deal_id key
+      ...(objectType === 'deals' ? { deal_id: String(id) } : { object_type: objectType, object_id: String(id) }),
+      timestamp,
+      activity_types: {}
+    }]));
+    
+    for (const type of config.activityTypes) {
+      let associationsById;
+      try {
+        associationsById = await getAssociationsBatch(objectType, type, [...activitiesById.keys()]);
+      } catch (error) {
+        // A missing scope shows up as 403, tell it apart from records without activities
+        const message = error.code === 403 ? `access denied, the token may be missing a scope for ${type}` : error.message;
+        logger.error(`Error fetching ${type} associations of ${objectType}: ${message}`);
+        activitiesById.forEach(activities => {
+          activities.activity_types[type] = { associations: [], error: message };
+        });
+        continue;
+      }
       
-      // Get all IDs
-      const objectIds = associations.results.map(result => result.toObjectId);
+      const engagementIds = [...associationsById.values()].flatMap(associations =>
+        associations.map(association => String(association.toObjectId)));
+      const engagements = await readEngagements(type, engagementIds, engagementCache);
       
-      // HubSpot batch API limit is 100 per batch
-      const batchSize = 100; // Maximum allowed by HubSpot
-      for (let i = 0; i < objectIds.length; i += batchSize) {
-        const batchIds = objectIds.slice(i, i + batchSize);
-        
-        try {
-          // Use the appropriate API method based on object type
-          let batchObjects;
-          
-          // Handle different object types
-          switch (objectType) {
-            case 'notes':
-              batchObjects = await hubspotClient.crm.objects.notes.batchApi.read({ inputs: batchIds.map(id => ({ id })) });
-              break;
-              
-            case 'emails':
-              batchObjects = await hubspotClient.crm.objects.emails.batchApi.read({ inputs: batchIds.map(id => ({ id })) });
-              break;
-              
-            case 'calls':
-              batchObjects = await hubspotClient.crm.objects.calls.batchApi.read({ inputs: batchIds.map(id => ({ id })) });
-              break;
-              
-            case 'meetings':
-              batchObjects = await hubspotClient.crm.objects.meetings.batchApi.read({ inputs: batchIds.map(id => ({ id })) });
-              break;
-              
-            case 'tasks':
-              batchObjects = await hubspotClient.crm.objects.tasks.batchApi.read({ inputs: batchIds.map(id => ({ id })) });
-              break;
-              
-            default:
-              console.warn(`No batch API method available for ${objectType}`);
-              // Just return the associations if we can't fetch the full objects
-              return associations.results;
-          }
-          
-          // Add the retrieved objects to our array
-          if (batchObjects && batchObjects.results) {
-            fullObjects.push(...batchObjects.results);
-          }
-          
-        } catch (batchError) {
-          console.error(`Error fetching batch of ${objectType}:`, batchError.message);
-          // Continue with the next batch rather than failing completely
+      for (const [objectId, associations] of associationsById) {
+        const ids = associations.map(association => String(association.toObjectId));
+        const data = { associations };
+        const errors = [...new Set(ids.map(id => engagements.get(id).error).filter(Boolean))];
+        if (errors.length > 0) {
+          // Flag the partial result so the record is not checkpointed as finished
+          data.error = errors.join('; ');
+        }
+        const missingIds = ids.filter(id => engagements.get(id).found === false);
+        if (missingIds.length > 0) {
+          data.missing_ids = missingIds;
         }
+        activitiesById.get(objectId).activity_types[type] = data;
       }
+    }
+    
+    return activitiesById;
+  }
+
+  // Fetch property history for deals and write history/{dealId}.json.
+  // A full sync rebuilds the stage transitions, an incremental one updates them.
+  async function exportDealHistory(dealIds, rebuild) {
+    logger.log(`Fetching history of ${config.historyProperties.join(', ')} for ${dealIds.length} deals...`);
+    const histories = [];
+    
+    // Batch reads with history are limited to 50 records
+    const batchSize = 50;
+    const batches = [];
+    for (let i = 0; i < dealIds.length; i += batchSize) {
+      batches.push(dealIds.slice(i, i + batchSize));
+    }
+    
+    await runPool(batches, config.concurrency, async (batchIds) => {
+      const response = await callApi(() => hubspotClient.crm.objects.batchApi.read(
+        'deals',
+        { inputs: batchIds.map(id => ({ id })), properties: [], propertiesWithHistory: config.historyProperties }
+      ), 'deal history batch read');
       
-      console.log(`Retrieved ${fullObjects.length} ${objectType} objects for deal ${dealId}`);
-      return {
-        associations: associations.results,
-        objects: fullObjects
-      };
+      for (const record of response.results) {
+        const history = redactor ? redactor.redactHistory('deals', normalizeHistory(record)) : normalizeHistory(record);
+        histories.push(history);
+        await output.writeDocument(`history/${record.id}.json`, history);
+      }
+    });
+    
+    if (config.historyProperties.includes('dealstage')) {
+      await exportStageTransitions(histories, rebuild);
+    }
+  }
+
+  // Derive stage_transitions.json from deals' dealstage history
+  async function exportStageTransitions(histories, rebuild) {
+    logger.log('Building deal stage transitions...');
+    const response = await callApi(() => hubspotClient.crm.pipelines.pipelinesApi.getAll('deals'), 'deal pipelines');
+    await output.writeDocument('deals.pipelines.json', response.results);
+    const stageIndex = indexPipelineStages(response.results);
+    
+    // Incremental runs only refresh changed deals, so keep the other deals' rows
+    const updatedIds = new Set(histories.map(history => history.deal_id));
+    const previous = rebuild ? [] : (await output.readDocument('stage_transitions.json')) || [];
+    const transitions = previous.filter(row => !updatedIds.has(row.deal_id));
+    for (const history of histories) {
+      transitions.push(...buildStageTransitions(history, stageIndex));
     }
     
-    return { associations: [], objects: [] };
-  } catch (error) {
-    if (error.message && error.message.includes('401') && config.refreshToken) {
-      console.log(`Access token expired during ${objectType} request, refreshing...`);
-      const newToken = await refreshAccessToken();
-      hubspotClient.setAccessToken(newToken);
-      console.log('Token refreshed, retrying request...');
+    await output.writeDocument('stage_transitions.json', transitions);
+    logger.log(`Total stage transitions: ${transitions.length}`);
+  }
+
+  // Drop the history and stage transitions of deals that were deleted or merged
+  async function removeDealHistory(dealIds) {
+    if (config.historyProperties.length === 0 || dealIds.length === 0) {
+      return;
+    }
+    for (const id of dealIds) {
+      await output.removeDocument(`history/${id}.json`);
+    }
+    const transitions = await output.readDocument('stage_transitions.json');
+    if (transitions) {
+      const removedIds = new Set(dealIds.map(String));
+      const kept = transitions.filter(row => !removedIds.has(String(row.deal_id)));
+      if (kept.length < transitions.length) {
+        await output.writeDocument('stage_transitions.json', kept);
+      }
+    }
+  }
+
+  // Work out whether a record's activities were exported, empty or failed
+  function getActivitiesStatus(activities) {
+    const errors = Object.entries(activities.activity_types)
+      .filter(([, data]) => data.error)
+      .map(([type, data]) => `${type}: ${data.error}`);
+    
+    if (errors.length > 0) {
+      return { status: RECORD_STATUS.FAILED, error: errors.join('; ') };
+    }
+    
+    const hasActivities = Object.values(activities.activity_types)
+      .some(data => data.associations && data.associations.length > 0);
+    
+    return { status: hasActivities ? RECORD_STATUS.EXPORTED : RECORD_STATUS.EMPTY };
+  }
+
+  // Fetch the activities of records and write them. A record without activities gets a
+  // no_activities marker (in the JSON tree; other formats just drop its previous activities), so
+  // verify can tell it from a record that was never exported.
+  // A failed fetch keeps whatever a previous run wrote rather than replacing it with partial data.
+  // Returns a Map of record ID to { status, error }.
+  async function exportRecordActivities(objectType, objectIds, engagementCache) {
+    const results = new Map();
+    for (const [objectId, activities] of await getActivities(objectType, objectIds, engagementCache)) {
+      const { status, error } = getActivitiesStatus(activities);
       
-      // This is a recursive call to retry after token refresh
-      return await getAssociatedObjects(dealId, objectType);
-    } else {
-      console.error(`Error fetching ${objectType} associations: ${error.message}`);
-      return { associations: [], objects: [] };
+      if (status === RECORD_STATUS.EXPORTED) {
+        await output.writeActivities(objectType, objectId, activities);
+      } else if (status === RECORD_STATUS.EMPTY) {
+        await output.writeActivities(objectType, objectId, { ...activities, no_activities: true });
+      } else {
+        logger.error(`Export failed for ${objectType} ${objectId}: ${error}`);
+        emit('error', Object.assign(new Error(`Export failed for ${objectType} ${objectId}: ${error}`), { objectType, id: objectId }));
+      }
+      logger.debug(`Activities of ${objectType} ${objectId}: ${status}`);
+      results.set(objectId, { status, error });
     }
+    return results;
   }
-}
 
-// Get activities for a specific deal
-async function getDealActivities(dealId) {
-  console.log(`Fetching activities for deal ${dealId}...`);
-  
-  try {
-    // Create an object to store all activities
-    const activities = {
-      deal_id: dealId,
-      timestamp: new Date().toISOString(),
-      activity_types: {}
-    };
+  // Records deleted in HubSpot, so consumers of the output can tell a deletion from a record
+  // that was never exported
+  const TOMBSTONES_DOCUMENT = 'tombstones.json';
+
+  // Add tombstones for deleted records and drop those of records that exist again (restored)
+  async function updateTombstones(tombstones, restored) {
+    if (tombstones.length === 0 && restored.length === 0) {
+      return;
+    }
+    const key = entry => `${entry.objectType}:${entry.id}`;
+    const byKey = new Map(((await output.readDocument(TOMBSTONES_DOCUMENT)) || []).map(entry => [key(entry), entry]));
+    let changed = false;
+    for (const entry of restored) {
+      changed = byKey.delete(key(entry)) || changed;
+    }
+    // A record already known to be gone keeps its first tombstone
+    for (const entry of tombstones) {
+      if (!byKey.has(key(entry))) {
+        byKey.set(key(entry), entry);
+        changed = true;
+      }
+    }
+    if (changed) {
+      await output.writeDocument(TOMBSTONES_DOCUMENT, [...byKey.values()]);
+    }
+  }
+
+  // Find the records deleted or merged away since the previous export. A full listing is compared
+  // with the saved IDs; an incremental run asks for records archived since it last ran. Merges show
+  // up in the hs_merged_object_ids of the surviving records either way.
+  async function findRemovals(objectType, { since, previousIds, currentIds, replace, mergedInto }) {
+    const removals = findRemovedRecords({ previousIds, currentIds, complete: replace, mergedInto });
+    if (replace) {
+      return removals;
+    }
     
-    // Array of activity types to check
-    const activityTypes = ['notes', 'calls', 'meetings', 'emails', 'tasks'];
+    const current = new Set(currentIds.map(String));
+    const found = new Set(removals.map(removal => removal.id));
+    for (const { id, archivedAt } of await getArchivedSince(objectType, since)) {
+      if (!found.has(id) && !current.has(id) && (!previousIds || previousIds.has(id))) {
+        removals.push({ id, reason: 'deleted', deletedAt: archivedAt });
+      }
+    }
+    return removals;
+  }
+
+  // Record removed records as tombstones and drop their activities and, for deals, their history;
+  // records exported again (e.g. restored) lose their tombstones
+  async function recordRemovals(objectType, removals, currentIds, followActivities) {
+    const detectedAt = new Date().toISOString();
+    await updateTombstones(removals.map(removal => ({
+      objectType,
+      id: removal.id,
+      reason: removal.reason,
+      deletedAt: removal.deletedAt || null,
+      detectedAt,
+      ...(removal.mergedInto ? { mergedInto: removal.mergedInto } : {})
+    })), currentIds.map(id => ({ objectType, id: String(id) })));
     
-    // Process each activity type
-    for (const type of activityTypes) {
-      const results = await getAssociatedObjects(dealId, type);
-      activities.activity_types[type] = results;
+    if (followActivities) {
+      for (const removal of removals) {
+        await output.removeActivities(objectType, removal.id);
+      }
+    }
+    if (objectType === 'deals') {
+      await removeDealHistory(removals.map(removal => removal.id));
     }
     
-    // Calculate total activities
-    const totalActivities = Object.values(activities.activity_types)
-      .reduce((sum, arr) => sum + arr.length, 0);
+    const merged = removals.filter(removal => removal.reason === 'merged').length;
+    if (removals.length > 0) {
+      logger.log(`${objectType}: ${removals.length - merged} deleted and ${merged} merged since the previous export`);
+    }
+    return { deleted: removals.length - merged, merged };
+  }
+
+  // Counts of a run for the manifest and metrics: records and activity outcomes per object type,
+  // and the records that failed
+  function createRunStats() {
+    return { objectTypes: {}, failures: [] };
+  }
+
+  function addFailure(runStats, failure) {
+    if (runStats.failures.length < MAX_MANIFEST_FAILURES) {
+      runStats.failures.push(failure);
+    }
+  }
+
+  // API calls made since the counters were copied at the start of a run
+  function apiCallsSince(start) {
+    return Object.fromEntries(Object.entries(apiStats).map(([name, count]) => [name, count - start[name]]));
+  }
+
+  // Export one object type to {objectType}.json and, if configured, its activities.
+  // With trackRemovals (runs covering the whole portal), records deleted or merged since the
+  // previous export are removed from it and counted in removedRecords. Counts and failed records
+  // go to runStats. engagementCache is shared by the object types of a run, so an engagement is
+  // read once however many records it belongs to.
+  // Returns the number of records whose activities failed to export.
+  async function exportObjectType(objectType, since, checkpoint, { trackRemovals = false, removedRecords = {}, runStats = createRunStats(), engagementCache = new Map() } = {}) {
+    const progress = checkpoint ? getObjectProgress(checkpoint, objectType) : null;
+    const followActivities = config.activityObjectTypes.includes(objectType);
     
-    console.log(`Total activities for deal ${dealId}: ${totalActivities}`);
+    // Incremental and filtered exports merge into the previous export, full ones replace it
+    const searchOnly = Boolean(since) || isFilteredExport(objectType);
+    const replace = !searchOnly;
     
-    return activities;
-  } catch (error) {
-    console.error(`Error fetching activities for deal ${dealId}:`, error.message);
+    let ids;
+    if (progress && progress.complete) {
+      // The records were already written before the interruption
+      ids = progress.ids;
+    } else {
+      ids = [];
+      const mergedInto = new Map();
+      // Pages are redacted here rather than by the output, so the journal never holds what the
+      // policy removes; pages replayed from the journal were redacted when they were fetched
+      const writer = await output.openRecords(objectType, { replace, redacted: Boolean(redactor) });
+      const redactPage = page => redactor ? redactor.redactRecords(objectType, page) : page;
+      const writePage = async (page, redactedPage = redactPage(page)) => {
+        ids.push(...page.map(record => record.id));
+        collectMergedIds(page, mergedInto);
+        await writer.write(redactedPage);
+      };
+      
+      if (searchOnly) {
+        // Only fetch what changed or matches the filters and merge it into the previous export
+        await writePage(await getModifiedObjects(objectType, since, followActivities));
+      } else {
+        // Pages fetched before an interruption come from the journal
+        const fetched = progress ? progress.fetched : [];
+        if (fetched.length > 0) {
+          await writePage(fetched, fetched);
+        }
+        
+        // Unless every page was fetched already, continue from the saved cursor
+        if (fetched.length === 0 || progress.after) {
+          await getAllObjects(objectType, {
+            after: progress ? progress.after : undefined,
+            fetchedCount: fetched.length,
+            onPage: async (after, page) => {
+              const redactedPage = redactPage(page);
+              await appendCheckpoint(config.outputDir, { type: 'page', objectType, after, records: redactedPage });
+              await writePage(page, redactedPage);
+            }
+          });
+        }
+      }
+      
+      let removedIds = new Set();
+      if (trackRemovals) {
+        const savedIds = (await loadRecordIds(config.outputDir))[objectType];
+        const previousIds = savedIds ? new Set(savedIds) : null;
+        const removals = await findRemovals(objectType, { since, previousIds, currentIds: ids, replace, mergedInto });
+        removedIds = new Set(removals.map(removal => removal.id));
+        await writer.remove([...removedIds]);
+        removedRecords[objectType] = await recordRemovals(objectType, removals, ids, followActivities);
+        
+        // A full listing is the new set, an incremental run adds to the previous one
+        const recordIds = new Set(replace ? [] : previousIds || []);
+        ids.forEach(id => recordIds.add(String(id)));
+        removedIds.forEach(id => recordIds.delete(id));
+        await writer.close();
+        await saveRecordIds(config.outputDir, objectType, recordIds);
+      } else {
+        await writer.close();
+      }
+      await appendCheckpoint(config.outputDir, { type: 'records_complete', objectType, ids });
+    }
+    
+    if (objectType === 'deals' && config.historyProperties.length > 0 && !(progress && progress.historyComplete)) {
+      await exportDealHistory(ids, replace);
+      await appendCheckpoint(config.outputDir, { type: 'history_complete', objectType });
+    }
+    
+    const typeStats = { records: ids.length };
+    runStats.objectTypes[objectType] = typeStats;
+    if (!followActivities) {
+      return 0;
+    }
+    
+    // Skip records finished before an interruption; failed ones are retried
+    const pendingIds = ids.filter(id => !isRecordFinished(checkpoint, objectType, id));
+    if (pendingIds.length < ids.length) {
+      logger.log(`Skipping ${ids.length - pendingIds.length} ${objectType} already finished`);
+    }
+    
+    // Get activities for each record
+    logger.log(`Fetching activities for ${pendingIds.length} ${objectType}...`);
+    
+    // Records go in batches of ACTIVITY_BATCH_SIZE, one association request per activity type,
+    // through a bounded worker pool; callApi keeps it within rate limits
+    const batches = [];
+    for (let i = 0; i < pendingIds.length; i += ACTIVITY_BATCH_SIZE) {
+      batches.push(pendingIds.slice(i, i + ACTIVITY_BATCH_SIZE));
+    }
     
-    // Return a properly structured empty result
+    let processedCount = 0;
+    let failedCount = 0;
+    typeStats.activities = { [RECORD_STATUS.EXPORTED]: 0, [RECORD_STATUS.EMPTY]: 0, [RECORD_STATUS.FAILED]: 0 };
+    typeStats.alreadyFinished = ids.length - pendingIds.length;
+    await runPool(batches, config.concurrency, async (batchIds) => {
+      const results = await exportRecordActivities(objectType, batchIds, engagementCache);
+      for (const [objectId, { status, error }] of results) {
+        typeStats.activities[status]++;
+        if (status === RECORD_STATUS.FAILED) {
+          failedCount++;
+          addFailure(runStats, { objectType, id: objectId, error });
+        }
+        await appendCheckpoint(config.outputDir, { type: 'record', objectType, id: objectId, status, error });
+      }
+      
+      processedCount += batchIds.length;
+      logger.log(`Progress: ${processedCount}/${pendingIds.length} ${objectType} processed (${Math.round(processedCount/pendingIds.length*100)}%)`,
+        logFields({ objectType, processed: processedCount, total: pendingIds.length, failed: failedCount }));
+      emit('progress', { objectType, phase: 'activities', processed: processedCount, total: pendingIds.length, failed: failedCount });
+    });
+    
+    return failedCount;
+  }
+
+  // Compare what the token may read with what the export reads. OAuth tokens list their scopes;
+  // other tokens (Private Apps) are probed with a one-record read per object type.
+  // Returns the exports a missing scope would leave incomplete.
+  async function checkScopes() {
+    const requirements = getScopeRequirements(config);
+
+    try {
+      const info = await callApi(() => tokens.getTokenInfo(), 'token info');
+      return { method: 'token info', grantedScopes: info.scopes, problems: findMissingScopes(requirements, info.scopes) };
+    } catch (error) {
+      logger.log(`Token info not available (${error.code || error.message}), probing object types instead`);
+    }
+
+    const deniedTypes = new Set();
+    for (const objectType of new Set(requirements.map(requirement => requirement.objectType))) {
+      // Scopes without an object type (e.g. files) can't be probed this way
+      if (!objectType) {
+        continue;
+      }
+      try {
+        await callApi(() => hubspotClient.crm.objects.basicApi.getPage(objectType, 1, undefined, ['hs_object_id']), `${objectType} probe`);
+      } catch (error) {
+        if (error.code !== 403) {
+          throw error;
+        }
+        deniedTypes.add(objectType);
+      }
+    }
+    return { method: 'probe', grantedScopes: null, problems: findDeniedObjectTypes(requirements, deniedTypes) };
+  }
+
+  function printScopeCheck({ method, grantedScopes, problems }) {
+    logger.log(`Scope check (${method})${grantedScopes ? `: granted ${grantedScopes.join(' ')}` : ''}`);
+    if (problems.length === 0) {
+      logger.log('The token can read everything the export needs');
+      return;
+    }
+    logger.warn('These exports will be incomplete:');
+    for (const problem of problems) {
+      logger.warn(`  ${problem.export}: missing ${problem.missing.join(', ')}, ${problem.impact}`);
+    }
+  }
+
+  // Describe the run: runStartedAt is when the sync began (earlier when this process resumed it),
+  // startedAt when this process did. failures lists at most MAX_MANIFEST_FAILURES records.
+  function buildManifest({ runStartedAt, startedAt, since, filter, status, error, failedCount, incompleteExports, removedRecords, runStats, apiStart }) {
+    const finishedAt = Date.now();
     return {
-      deal_id: dealId,
-      timestamp: new Date().toISOString(),
-      error: error.message,
-      activity_types: {
-        notes: { associations: [], objects: [] },
-        calls: { associations: [], objects: [] },
-        meetings: { associations: [], objects: [] },
-        emails: { associations: [], objects: [] },
-        tasks: { associations: [], objects: [] }
+      version,
+      ...(runStartedAt ? { runStartedAt: new Date(runStartedAt).toISOString() } : {}),
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startedAt,
+      status,
+      ...(error ? { error: error.message } : {}),
+      failedRecords: failedCount,
+      outputFormat: config.outputFormat,
+      objectTypes: Object.fromEntries(Object.entries(since).map(([objectType, typeSince]) =>
+        [objectType, filter ? 'filtered' : typeSince ? 'incremental' : 'full'])),
+      ...(filter ? { filter } : {}),
+      ...(incompleteExports.length > 0 ? { incompleteExports } : {}),
+      ...(Object.keys(removedRecords).length > 0 ? { removedRecords } : {}),
+      ...(redactor ? { redaction: { policy: config.redactionPolicyFile, report: REDACTION_REPORT } } : {}),
+      stats: {
+        objectTypes: runStats.objectTypes,
+        api: apiCallsSince(apiStart),
+        ...(config.downloadContent ? { content: contentStats } : {})
+      },
+      failures: runStats.failures
+    };
+  }
+
+  // Metrics are labelled with the profile, so several portals can share a collector directory
+  async function writeMetrics(manifest) {
+    await writeMetricsFile(config.metricsFile, manifest, { profile: config.profile });
+    logger.log(`Metrics saved to ${config.metricsFile}`);
+  }
+
+  // Main function to export deals and their activities, along with the other configured object types.
+  // A sync keeps the sync state up to date; an export (useSyncState false) neither reads nor updates it.
+  // incompleteExports from the scope check are recorded in the manifest.
+  // Returns the run's status: completed, incomplete or failed.
+  async function exportDealsAndActivities({ useSyncState = true, incompleteExports = [] } = {}) {
+    const startedAt = Date.now();
+    const apiStart = { ...apiStats };
+    let runStartedAt = null;
+    const since = {};
+    let filter = null;
+    let status = 'failed';
+    let runError = null;
+    let failedCount = 0;
+    const removedRecords = {};
+    const runStats = createRunStats();
+    const engagementCache = new Map();
+    contentStats = createContentStats();
+    if (redactor) {
+      redactor.reset();
+    }
+    // A sync kept around for several runs fetches the property definitions again for each
+    propertySchemas.clear();
+    savedSchemas.clear();
+    try {
+      // Fail fast on object types we can't export
+      config.objectTypes.forEach(getObjectTypeDefinition);
+      
+      // A date range or deal filter exports a subset, which must not move the high-water marks
+      filter = config.modifiedSince || config.modifiedUntil || hasDealFilter(config.dealFilter)
+        ? { modifiedSince: config.modifiedSince, modifiedUntil: config.modifiedUntil, dealFilter: config.dealFilter }
+        : null;
+      
+      // Decide per object type between a full sync (null) and an incremental one
+      const syncState = useSyncState ? await loadSyncState(config.stateFile) : {};
+      for (const objectType of config.objectTypes) {
+        const typeState = syncState[objectType];
+        if (filter) {
+          since[objectType] = config.modifiedSince;
+          logger.log(`${objectType}: filtered export${isFilteredExport(objectType) || since[objectType] ? '' : ' (no filter applies, exporting all)'}`);
+        } else if (!useSyncState) {
+          since[objectType] = null;
+          logger.log(`${objectType}: full export`);
+        } else {
+          since[objectType] = (!config.fullSync && typeState && typeState.lastModifiedSince) || null;
+          logger.log(since[objectType]
+            ? `${objectType}: incremental sync`
+            : `${objectType}: full sync${config.fullSync ? ' requested' : ', no previous sync state found'}`);
+        }
+      }
+      
+      if (config.dryRun) {
+        for (const objectType of config.objectTypes) {
+          const count = await countMatchingObjects(objectType, since[objectType]);
+          const activities = config.activityObjectTypes.includes(objectType) ? `, with activities of ${config.activityTypes.join(', ')}` : '';
+          logger.log(`${objectType}: ${count} records would be exported${activities}`);
+        }
+        logger.log('Dry run, nothing was written');
+        status = 'completed';
+        return status;
       }
+      
+      // Ensure data directory exists
+      await ensureDirectoryExists(config.outputDir);
+      
+      // Resume an interrupted run with the same plan, otherwise start a fresh journal
+      let checkpoint = await loadCheckpoint(config.outputDir, logger);
+      if (checkpoint && JSON.stringify({ since: checkpoint.since, filter: checkpoint.filter }) !== JSON.stringify({ since, filter })) {
+        logger.log('Discarding checkpoint from an interrupted sync with different settings');
+        checkpoint = null;
+      }
+      
+      if (checkpoint) {
+        runStartedAt = checkpoint.startedAt;
+        logger.log(`Resuming sync started at ${new Date(runStartedAt).toISOString()}`);
+      } else {
+        runStartedAt = Date.now();
+        await clearCheckpoint(config.outputDir);
+        await appendCheckpoint(config.outputDir, { type: 'start', startedAt: runStartedAt, since, filter });
+      }
+      
+      await storage.open({ runStartedAt });
+      await output.open();
+      
+      for (const objectType of config.objectTypes) {
+        // Only a run covering the whole portal can tell that a record is gone
+        failedCount += await exportObjectType(objectType, since[objectType], checkpoint, { trackRemovals: !filter, removedRecords, runStats, engagementCache });
+      }
+      
+      if (failedCount > 0) {
+        // Leave the checkpoint in place so the next run retries only the failed records
+        logger.error(`${failedCount} records failed to export, rerun to retry them`);
+        status = 'incomplete';
+        return status;
+      }
+      
+      // Record the high-water marks only once the run has completed
+      if (useSyncState && !filter) {
+        const newState = { ...syncState };
+        for (const objectType of config.objectTypes) {
+          newState[objectType] = {
+            lastModifiedSince: runStartedAt - SYNC_OVERLAP_MS,
+            lastRunAt: new Date(runStartedAt).toISOString(),
+            lastRunMode: since[objectType] ? 'incremental' : 'full'
+          };
+        }
+        await saveSyncState(config.stateFile, newState);
+      }
+      await clearCheckpoint(config.outputDir);
+      status = 'completed';
+      
+      logger.log('Export completed successfully!');
+    } catch (error) {
+      runError = error;
+      logger.error('Export failed:', error);
+      emit('error', error);
+    } finally {
+      const manifest = buildManifest({
+        runStartedAt, startedAt, since, filter, status, error: runError, failedCount, incompleteExports, removedRecords, runStats, apiStart
+      });
+      try {
+        if (redactor && runStartedAt) {
+          await output.writeDocument(REDACTION_REPORT, redactor.report());
+        }
+        await output.close();
+        if (runStartedAt) {
+          await storage.writeManifest(manifest);
+        }
+        if (config.metricsFile && !config.dryRun) {
+          await writeMetrics(manifest);
+        }
+      } catch (error) {
+        logger.error('Failed to finish writing the export:', error);
+        status = 'failed';
+      }
+      logger.log(`Run ${status} in ${Math.round(manifest.durationMs / 1000)}s, ${failedCount} records failed, ${manifest.stats.api.requests} API calls`,
+        logFields({ status, durationMs: manifest.durationMs, failedRecords: failedCount, api: manifest.stats.api }));
+      emit('finish', { ...manifest, status });
+    }
+    return status;
+  }
+
+  function toTombstone(change) {
+    return {
+      objectType: change.objectType,
+      id: String(change.objectId),
+      reason: change.mergedInto ? 'merged' : 'deleted',
+      deletedAt: change.occurredAt ? new Date(change.occurredAt).toISOString() : new Date().toISOString(),
+      ...(change.mergedInto ? { mergedInto: change.mergedInto } : {}),
+      ...(change.eventId ? { eventId: change.eventId } : {})
     };
   }
-}
 
-// Main function to export deals and their activities
-async function exportDealsAndActivities() {
-  try {
-    // Ensure data directory exists
+  function addToGroup(groups, key, value) {
+    if (!groups.has(key)) {
+      groups.set(key, new Set());
+    }
+    groups.get(key).add(value);
+  }
+
+  // Apply changes received through webhooks ({ action: 'upsert' | 'delete', objectType, objectId })
+  // to the same output a sync writes. Changed records are fetched again and merged, deleted ones
+  // are removed and recorded as tombstones, and changed activities refresh the activities of the
+  // records they belong to. A deleted activity only gets a tombstone, since its associations are
+  // gone; it drops out of its record's activities the next time they are fetched.
+  // Holds config.lockFile like a sync, so changes are never written while a sync rewrites the same
+  // files; while a run holds it, this rejects with the lock's error (code ELOCKED) and writes nothing.
+  // Returns the number of records that failed.
+  async function applyChanges(changes) {
+    const releaseLock = config.lockFile ? await acquireLock(config.lockFile) : null;
+    try {
+      return await writeChanges(changes);
+    } finally {
+      if (releaseLock) {
+        await releaseLock();
+      }
+    }
+  }
+
+  // The part of applyChanges done while holding the lock
+  async function writeChanges(changes) {
+    const runStartedAt = Date.now();
+    const apiStart = { ...apiStats };
+    let status = 'failed';
+    let failedCount = 0;
+    const upserts = new Map();
+    const deletions = new Map();
+    const changedActivities = new Map();
+    contentStats = createContentStats();
+    if (redactor) {
+      redactor.reset();
+    }
+    
+    for (const change of changes) {
+      const isObject = config.objectTypes.includes(change.objectType);
+      if (!isObject && !config.activityTypes.includes(change.objectType)) {
+        logger.log(`Ignoring change to ${change.objectType} ${change.objectId}, the type isn't exported`);
+      } else if (change.action === 'delete') {
+        addToGroup(deletions, change.objectType, change);
+      } else {
+        addToGroup(isObject ? upserts : changedActivities, change.objectType, change.objectId);
+      }
+    }
+    
     await ensureDirectoryExists(config.outputDir);
-    await ensureDirectoryExists(path.join(config.outputDir, 'activities'));
+    await storage.open({ runStartedAt });
+    await output.open();
+    let upsertedCount = 0;
+    let deletedCount = 0;
+    try {
+      const activityParentTypes = config.objectTypes.filter(type => config.activityObjectTypes.includes(type));
+      const activityParents = new Map();
+      for (const [activityType, ids] of changedActivities) {
+        for (const parentType of activityParentTypes) {
+          const associationsById = await getAssociationsBatch(activityType, parentType, [...ids]);
+          for (const associated of associationsById.values()) {
+            associated.forEach(to => addToGroup(activityParents, parentType, String(to.toObjectId)));
+          }
+        }
+      }
+      
+      const tombstones = [];
+      const restored = [];
+      for (const objectType of config.objectTypes) {
+        const deleted = [...(deletions.get(objectType) || [])];
+        const deletedIds = new Set(deleted.map(change => change.objectId));
+        const changedIds = [...(upserts.get(objectType) || [])].filter(id => !deletedIds.has(id));
+        
+        const records = [];
+        await runPool(changedIds, config.concurrency, async (objectId) => {
+          try {
+            records.push(await getObject(objectType, objectId));
+          } catch (error) {
+            if (error.code === 404) {
+              // Deleted again before we got to it
+              deleted.push({ action: 'delete', objectType, objectId });
+              deletedIds.add(objectId);
+            } else {
+              failedCount++;
+              logger.error(`Failed to fetch ${objectType} ${objectId}: ${error.message}`);
+            }
+          }
+        });
+        
+        if (records.length > 0 || deletedIds.size > 0) {
+          const writer = await output.openRecords(objectType, { replace: false });
+          await writer.write(records);
+          await writer.remove([...deletedIds]);
+          await writer.close();
+          logger.log(`${objectType}: ${records.length} updated, ${deletedIds.size} deleted`);
+        }
+        tombstones.push(...deleted.map(toTombstone));
+        restored.push(...records.map(record => ({ objectType, id: String(record.id) })));
+        upsertedCount += records.length;
+        deletedCount += deletedIds.size;
+        
+        if (objectType === 'deals') {
+          await removeDealHistory([...deletedIds]);
+        }
+        if (activityParentTypes.includes(objectType)) {
+          for (const objectId of deletedIds) {
+            await output.removeActivities(objectType, objectId);
+          }
+          const parentIds = new Set([...records.map(record => String(record.id)), ...(activityParents.get(objectType) || [])]);
+          deletedIds.forEach(id => parentIds.delete(id));
+          const results = await exportRecordActivities(objectType, [...parentIds], new Map());
+          failedCount += [...results.values()].filter(result => result.status === RECORD_STATUS.FAILED).length;
+        }
+      }
+      
+      for (const type of config.activityTypes) {
+        const deleted = [...(deletions.get(type) || [])];
+        tombstones.push(...deleted.map(toTombstone));
+        deletedCount += deleted.length;
+      }
+      
+      await updateTombstones(tombstones, restored);
+      status = failedCount > 0 ? 'incomplete' : 'completed';
+    } finally {
+      try {
+        if (redactor) {
+          await output.writeDocument(REDACTION_REPORT, redactor.report());
+        }
+        await output.close();
+        await storage.writeManifest({
+          version,
+          runStartedAt: new Date(runStartedAt).toISOString(),
+          finishedAt: new Date().toISOString(),
+          durationMs: Date.now() - runStartedAt,
+          status,
+          source: 'webhooks',
+          failedRecords: failedCount,
+          outputFormat: config.outputFormat,
+          changes: { upserted: upsertedCount, deleted: deletedCount },
+          ...(redactor ? { redaction: { policy: config.redactionPolicyFile, report: REDACTION_REPORT } } : {}),
+          stats: { api: apiCallsSince(apiStart), ...(config.downloadContent ? { content: contentStats } : {}) }
+        });
+      } catch (error) {
+        logger.error('Failed to finish writing the changes:', error);
+      }
+    }
+    return failedCount;
+  }
+
+  // Load the tokens and check an access token is available. Throws when there is none to use.
+  async function loadTokens() {
+    try {
+      await tokens.load();
+    } catch (error) {
+      throw new Error(`Error loading tokens: ${error.message}`);
+    }
+    if (!tokens.hasAccessToken()) {
+      throw new Error(`No access token found in ${config.tokenFile} or HUBSPOT_ACCESS_TOKEN. ` +
+        'Run the OAuth flow with "npm run auth", or set a Private App token with "export HUBSPOT_ACCESS_TOKEN=your_token"');
+    }
     
-    // Get all deals
-    const deals = await getAllDeals();
-    await saveToFile(deals, 'deals.json');
+    // Refresh an expired token up front, so the first requests don't all wait on it
+    if (tokens.expiresSoon()) {
+      try {
+        await tokens.refresh();
+      } catch (error) {
+        throw new Error(`Failed to refresh token, please run the OAuth flow again: ${error.message}`);
+      }
+    }
+  }
+
+  // Check the scopes before anything is written, then export. In strict mode a missing scope
+  // stops the run with an error, as does config.lockFile held by another run.
+  // Returns the run's status: completed, incomplete or failed.
+  async function sync(options) {
+    await loadTokens();
+    
+    // A dry run writes nothing, so it doesn't need the lock
+    const releaseLock = config.lockFile && !config.dryRun ? await acquireLock(config.lockFile) : null;
+    try {
+      return await checkAndExport(options);
+    } finally {
+      if (releaseLock) {
+        await releaseLock();
+      }
+    }
+  }
+
+  // The part of sync done while holding the lock
+  async function checkAndExport(options) {
+    let scopeCheck;
+    try {
+      scopeCheck = await checkScopes();
+      printScopeCheck(scopeCheck);
+    } catch (error) {
+      logger.warn('Scope check failed:', error.message);
+      if (config.strictScopes) {
+        throw new Error(`Scope check failed (STRICT_SCOPES): ${error.message}`);
+      }
+    }
+    if (config.strictScopes && scopeCheck.problems.length > 0) {
+      throw new Error('Stopping because of missing scopes (STRICT_SCOPES), nothing was exported');
+    }
     
-    // Get activities for each deal
-    console.log('Fetching activities for each deal...');
+    return exportDealsAndActivities({ ...options, incompleteExports: scopeCheck ? scopeCheck.problems : [] });
+  }
+
+  // sync for the command line: returns the exit code for the run's status (EXIT_CODES)
+  async function run(options) {
+    return EXIT_CODES[await sync(options)];
+  }
+
+  // Preflight diagnostics: report the exports the token's scopes leave incomplete.
+  // Returns the scope check ({ method, grantedScopes, problems }).
+  async function checkTokenScopes() {
+    await loadTokens();
+    const scopeCheck = await checkScopes();
+    printScopeCheck(scopeCheck);
+    return scopeCheck;
+  }
+
+  // checkTokenScopes for the command line: returns the exit code, 1 when an export would be incomplete
+  async function check() {
+    const scopeCheck = await checkTokenScopes();
+    return scopeCheck.problems.length > 0 ? 1 : 0;
+  }
+
+  // Compare a random sample of sampleSize records per object type in the JSON export with HubSpot,
+  // to spot drift: records deleted or changed since the export, and activities associated since.
+  // Returns the records checked and the differences found.
+  async function verifySample(sampleSize) {
+    await loadTokens();
+    const problems = [];
+    let checked = 0;
     
-    // Process all deals at maximum speed
-    let processedCount = 0;
-    for (const deal of deals) {
-      // Get activities for this deal
-      const activities = await getDealActivities(deal.id);
+    for (const objectType of config.objectTypes) {
+      const records = await readRecords(config.outputDir, objectType);
+      if (!records) {
+        continue;
+      }
+      const picked = sample(records, sampleSize);
+      checked += picked.length;
       
-      // Only save if we have actual activities
-      const hasActivities = Object.values(activities.activity_types)
-        .some(data => data.associations && data.associations.length > 0);
+      const current = [];
+      await runPool(picked, config.concurrency, async (record) => {
+        const label = `${objectType} ${record.id}`;
+        try {
+          const live = await callApi(() => hubspotClient.crm.objects.basicApi.getById(objectType, record.id, ['hs_lastmodifieddate']), label);
+          current.push(String(record.id));
+          if (record.updatedAt && new Date(live.updatedAt) > new Date(record.updatedAt)) {
+            problems.push({ record: label, problem: `changed in HubSpot at ${new Date(live.updatedAt).toISOString()}, exported version is from ${record.updatedAt}` });
+          }
+        } catch (error) {
+          if (error.code !== 404) {
+            throw error;
+          }
+          problems.push({ record: label, problem: 'deleted in HubSpot but still in the export' });
+        }
+      });
       
-      if (hasActivities) {
-        await saveToFile(activities, `activities/${deal.id}.json`);
+      if (!config.activityObjectTypes.includes(objectType) || current.length === 0) {
+        continue;
       }
-      
-      // Log progress periodically
-      processedCount++;
-      if (processedCount % 10 === 0) {
-        console.log(`Progress: ${processedCount}/${deals.length} deals processed (${Math.round(processedCount/deals.length*100)}%)`);
+      const exported = new Map();
+      for (const id of current) {
+        exported.set(id, await readActivities(config.outputDir, objectType, id));
+      }
+      for (const type of config.activityTypes) {
+        const associationsById = await getAssociationsBatch(objectType, type, current);
+        for (const [id, associations] of associationsById) {
+          const activities = exported.get(id);
+          const data = activities && activities.activity_types && activities.activity_types[type];
+          if (!data) {
+            continue;
+          }
+          const count = (data.associations || []).length;
+          if (count !== associations.length) {
+            problems.push({ record: `${objectType} ${id}`, problem: `${associations.length} ${type} in HubSpot, ${count} exported` });
+          }
+        }
       }
     }
     
-    console.log('Export completed successfully!');
-  } catch (error) {
-    console.error('Export failed:', error);
+    return { checked, problems };
   }
+  
+  return {
+    config,
+    sync,
+    run,
+    checkScopes: checkTokenScopes,
+    check,
+    loadTokens,
+    verifySample,
+    applyChanges,
+    exportDealsAndActivities,
+    iterateObjects,
+    iterateActivities
+  };
 }
 
-// Check if access token is set
-if (!config.accessToken) {
-  console.error('Error: HUBSPOT_ACCESS_TOKEN environment variable is not set');
-  console.log('Set it by running: export HUBSPOT_ACCESS_TOKEN=your_token');
-  process.exit(1);
+// The sync configured from the environment and .env, used by the webhook receiver. It is created
+// on first use, so requiring this module has no side effects; npm start and the CLI go through the
+// library in index.js.
+let defaultSync = null;
+function getDefaultSync() {
+  if (!defaultSync) {
+    const config = loadConfig();
+    setupLogging({ level: config.logLevel, format: config.logFormat });
+    defaultSync = createSync({ config });
+  }
+  return defaultSync;
 }
 
-// Run the export
-exportDealsAndActivities();
\ No newline at end of file
+module.exports = {
+  EXIT_CODES,
+  createSync,
+  get config() {
+    return getDefaultSync().config;
+  },
+  loadTokens: () => getDefaultSync().loadTokens(),
+  applyChanges: changes => getDefaultSync().applyChanges(changes)
+};
@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const express = require('express');
+const { LOCKED } = require('./lib/lock');
+const { checkSignature, normalizeEvents, createChangeQueue } = require('./lib/webhooks');
+
+// Webhook receiver keeping the export current between syncs. HubSpot posts deal and engagement
+// events; the affected IDs are queued and applied every WEBHOOK_APPLY_SECONDS, by fetching the
+// records again and writing them to the same output a sync writes.
+
+// The receiver's app and queue for a sync's config; applyChanges(changes) writes a batch of changes
+function createReceiver({ config, applyChanges }) {
+  const settings = config.webhooks;
+  const queue = createChangeQueue(settings.queueFile);
+
+  const app = express();
+  let lastAppliedAt = null;
+
+  // The URI HubSpot signed: the target URL from the app settings when a proxy rewrites the request,
+  // otherwise the URL as it arrived
+  function signedUri(req) {
+    if (settings.publicUrl) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      return settings.publicUrl + (queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '');
+    }
+    return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  }
+
+  // The raw body is needed for the signature, so it's parsed only after the check
+  app.post(settings.path, express.raw({ type: '*/*', limit: '5mb' }), async (req, res) => {
+    const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const problem = checkSignature({
+      secret: config.clientSecret,
+      method: req.method,
+      uri: signedUri(req),
+      body,
+      timestamp: req.get('X-HubSpot-Request-Timestamp'),
+      signature: req.get('X-HubSpot-Signature-v3')
+    });
+    if (problem) {
+      console.warn(`Rejected webhook request: ${problem}`);
+      return res.status(401).send('Invalid signature');
+    }
+
+    let events;
+    try {
+      events = JSON.parse(body);
+    } catch (error) {
+      return res.status(400).send('Invalid JSON');
+    }
+    if (!Array.isArray(events)) {
+      return res.status(400).send('Expected an array of events');
+    }
+
+    try {
+      const changes = normalizeEvents(events);
+      await queue.add(changes);
+      console.log(`Received ${events.length} events, ${queue.size()} changes queued`);
+      res.sendStatus(204);
+    } catch (error) {
+      // HubSpot retries requests that fail
+      console.error('Failed to queue webhook events:', error);
+      res.sendStatus(500);
+    }
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ queued: queue.size(), lastAppliedAt });
+  });
+
+  // Apply the queued changes; changes arriving meanwhile wait for the next round, and so does the
+  // whole queue while a sync holds the lock. A batch with failures is retried until its changes
+  // reach WEBHOOK_MAX_ATTEMPTS.
+  let applying = null;
+
+  async function applyQueuedChanges() {
+    const batch = queue.peek();
+    console.log(`Applying ${batch.length} queued changes...`);
+    try {
+      const failedCount = await applyChanges(batch);
+      if (failedCount === 0) {
+        await queue.remove(batch);
+        lastAppliedAt = new Date().toISOString();
+        return;
+      }
+      console.error(`${failedCount} records failed, the changes stay queued`);
+    } catch (error) {
+      if (error.code === LOCKED) {
+        console.log(`Not applying changes while another run writes the output: ${error.message}`);
+        return;
+      }
+      console.error('Failed to apply changes:', error);
+    }
+
+    const dropped = await queue.retry(batch, settings.maxAttempts);
+    for (const change of dropped) {
+      console.error(`Giving up on ${change.action} of ${change.objectType} ${change.objectId} after ${change.attempts} attempts`);
+    }
+  }
+
+  function applyQueue() {
+    if (!applying && queue.size() > 0) {
+      applying = applyQueuedChanges().finally(() => {
+        applying = null;
+      });
+    }
+    return applying;
+  }
+
+  return {
+    app,
+    queue,
+    applyQueue,
+
+    // Wait for the round in progress, then apply what is still queued
+    async drain() {
+      await applying;
+      await applyQueue();
+    }
+  };
+}
+
+// The default sync is set up here rather than when this module is required, since that loads the
+// configuration and sets up logging
+async function run() {
+  const { config, loadTokens, applyChanges } = require('./hubspot-sync');
+  const settings = config.webhooks;
+  if (!config.clientSecret) {
+    console.error('Error: HUBSPOT_CLIENT_SECRET must be set, webhook signatures are checked with it');
+    process.exit(1);
+  }
+  await loadTokens();
+
+  const { app, queue, applyQueue, drain } = createReceiver({ config, applyChanges });
+  await fs.mkdir(path.dirname(settings.queueFile), { recursive: true });
+  const pending = await queue.load();
+  if (pending > 0) {
+    console.log(`${pending} changes queued before the last shutdown`);
+  }
+
+  const server = app.listen(settings.port, () => {
+    console.log(`Webhook receiver listening on port ${settings.port}, path ${settings.path}`);
+  });
+  server.on('error', error => {
+    console.error(`Could not start the webhook receiver on port ${settings.port}: ${error.message}`);
+    process.exit(1);
+  });
+  const timer = setInterval(applyQueue, settings.applyIntervalMs);
+
+  // Stop taking events and apply what's queued before exiting
+  async function shutdown() {
+    console.log('Stopping, applying queued changes first...');
+    clearInterval(timer);
+    server.close();
+    await drain();
+    process.exit(0);
+  }
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+// Run when started directly (npm run webhooks); the CLI requires this module instead
+if (require.main === module) {
+  run().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createReceiver,
+  run
+};
@@ -0,0 +1,94 @@
+// Library entry point, for running the sync inside another Node application:
+//
+//   const { HubSpotSync } = require('hubspot-sync');
+//   const sync = new HubSpotSync({ settings: { OUTPUT_DIR: './export' }, tokenProvider: () => getToken() });
+//   sync.on('progress', progress => ...);
+//   for await (const deal of sync.iterateDeals()) { ... }
+//
+// Nothing here exits the process or writes to the console; messages are emitted as 'log' events
+// unless a logger is given.
+const { EventEmitter } = require('events');
+const { EXIT_CODES, createSync } = require('./hubspot-sync');
+const { loadConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+const { createProvidedTokenManager } = require('./lib/tokens');
+
+// A sync of one portal. Options:
+//   settings       configuration variables by name, as in .env (e.g. { OUTPUT_DIR, OBJECT_TYPES });
+//                  neither the environment nor .env is read when they are given
+//   config         configuration already loaded with loadConfig, instead of settings
+//   tokenProvider  async function returning the access token to use, or an object with
+//                  getAccessToken() and refresh(rejectedToken); the token file or
+//                  HUBSPOT_ACCESS_TOKEN is used without one
+//   logger         console-like object for the sync's messages, e.g. console
+//
+// Events: 'progress' ({ objectType, phase: 'records', fetched } while records are listed,
+// { objectType, phase: 'activities', processed, total, failed } after each batch of activities),
+// 'error' (an Error for each failed record, with objectType and id, and for a failed run),
+// 'finish' (the run's manifest) and 'log' ({ time, level, msg, ... }) without a logger.
+class HubSpotSync extends EventEmitter {
+  #sync;
+
+  constructor({ settings, config = settings ? loadConfig({ ...settings }) : loadConfig(), tokenProvider, logger } = {}) {
+    super();
+    this.config = config;
+    this.#sync = createSync({
+      config,
+      logger: logger || createLogger(entry => this.emit('log', entry)),
+      events: this,
+      tokens: tokenProvider ? createProvidedTokenManager(tokenProvider, { basePath: config.apiBaseUrl }) : undefined
+    });
+  }
+
+  // Export the changes since the last sync (everything on the first run) and update the sync state.
+  // Resolves to the run's status: completed, incomplete (some records failed, the next run retries
+  // them) or failed.
+  sync() {
+    return this.#sync.sync({ useSyncState: true });
+  }
+
+  // Export without reading or updating the sync state, e.g. with a date range or deal filter
+  export() {
+    return this.#sync.sync({ useSyncState: false });
+  }
+
+  // The exports the token's scopes leave incomplete: { method, grantedScopes, problems }
+  checkScopes() {
+    return this.#sync.checkScopes();
+  }
+
+  // Compare sampleSize random records per object type in the JSON export with HubSpot
+  verifySample(sampleSize) {
+    return this.#sync.verifySample(sampleSize);
+  }
+
+  // Apply changes ({ action: 'upsert' | 'delete', objectType, objectId }) to the export, as the
+  // webhook receiver does. Resolves to the number of records that failed.
+  applyChanges(changes) {
+    return this.#sync.applyChanges(changes);
+  }
+
+  // Records of an object type, as an export reads them, without writing anything
+  iterateObjects(objectType) {
+    return this.#sync.iterateObjects(objectType);
+  }
+
+  iterateDeals() {
+    return this.iterateObjects('deals');
+  }
+
+  // Activities of a record as { type, engagement, associationTypes }, without writing anything
+  iterateActivities(objectType, objectId) {
+    return this.#sync.iterateActivities(objectType, objectId);
+  }
+
+  iterateDealActivities(dealId) {
+    return this.iterateActivities('deals', dealId);
+  }
+}
+
+module.exports = {
+  HubSpotSync,
+  EXIT_CODES,
+  loadConfig
+};
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Append-only journal of export progress, kept in the output directory
+const CHECKPOINT_FILE = 'checkpoint.jsonl';
+
+// Per-record export outcomes recorded in the journal
+const RECORD_STATUS = {
+  EXPORTED: 'exported', // Activities written to the record's activities file
+  EMPTY: 'empty',       // Export succeeded, the record has no activities
+  FAILED: 'failed'      // At least one request failed, retried on the next run
+};
+
+function checkpointPath(outputDir) {
+  return path.join(outputDir, CHECKPOINT_FILE);
+}
+
+// Progress of one object type within the run
+function getObjectProgress(checkpoint, objectType) {
+  if (!checkpoint.objects[objectType]) {
+    checkpoint.objects[objectType] = {
+      after: undefined,
+      fetched: [],
+      complete: false,
+      ids: [],
+      historyComplete: false,
+      status: new Map()
+    };
+  }
+  return checkpoint.objects[objectType];
+}
+
+// Rebuild the checkpoint state by replaying the journal, or null if there is none
+async function loadCheckpoint(outputDir, logger = console) {
+  let content;
+  try {
+    content = await fs.readFile(checkpointPath(outputDir), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const checkpoint = {
+    startedAt: null,
+    since: {},
+    filter: null,
+    objects: {}
+  };
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line
+      logger.warn('Ignoring corrupt checkpoint entry');
+      continue;
+    }
+
+    switch (event.type) {
+      case 'start':
+        checkpoint.startedAt = event.startedAt;
+        checkpoint.since = event.since;
+        checkpoint.filter = event.filter || null;
+        break;
+
+      case 'page': {
+        const progress = getObjectProgress(checkpoint, event.objectType);
+        progress.fetched.push(...event.records);
+        progress.after = event.after;
+        break;
+      }
+
+      case 'records_complete': {
+        const progress = getObjectProgress(checkpoint, event.objectType);
+        progress.complete = true;
+        progress.ids = event.ids;
+        break;
+      }
+
+      case 'history_complete':
+        getObjectProgress(checkpoint, event.objectType).historyComplete = true;
+        break;
+
+      case 'record':
+        getObjectProgress(checkpoint, event.objectType).status.set(event.id, { status: event.status, error: event.error });
+        break;
+
+      default:
+        logger.warn(`Ignoring unknown checkpoint entry: ${event.type}`);
+    }
+  }
+
+  return checkpoint.startedAt ? checkpoint : null;
+}
+
+// Append one event to the journal
+async function appendCheckpoint(outputDir, event) {
+  await fs.appendFile(checkpointPath(outputDir), JSON.stringify(event) + '\n');
+}
+
+// Remove the journal once a run has fully succeeded
+async function clearCheckpoint(outputDir) {
+  await fs.rm(checkpointPath(outputDir), { force: true });
+}
+
+// A record is finished once it was exported or confirmed to have no activities
+function isRecordFinished(checkpoint, objectType, id) {
+  const entry = checkpoint && getObjectProgress(checkpoint, objectType).status.get(id);
+  return Boolean(entry) && entry.status !== RECORD_STATUS.FAILED;
+}
+
+module.exports = {
+  RECORD_STATUS,
+  loadCheckpoint,
+  appendCheckpoint,
+  clearCheckpoint,
+  getObjectProgress,
+  isRecordFinished
+};
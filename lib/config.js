@@ -0,0 +1,135 @@
+const path = require('path');
+const { ENGAGEMENT_TYPES, parseList } = require('./object-types');
+
+// Parse a date given as an ISO 8601 string or milliseconds since the epoch
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+  const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw new Error(`${name} is not a valid date: ${value}`);
+  }
+  return timestamp;
+}
+
+// Parse a whole-number setting, or return defaultValue when it is unset
+function parseInteger(value, name, defaultValue, { min = 0 } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`${name} is not a whole number: ${value}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < min) {
+    throw new Error(`${name} must be at least ${min}: ${value}`);
+  }
+  return number;
+}
+
+// Parse a positive number setting such as a size in MB, or return defaultValue when it is unset
+function parseNumber(value, name, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} is not a positive number: ${value}`);
+  }
+  return number;
+}
+
+// Build the configuration from the environment and .env; variables already set,
+// e.g. by command-line flags, take precedence over .env. Tests pass their own variables in env,
+// which are used without .env.
+function loadConfig(env = process.env) {
+  if (env === process.env) {
+    require('dotenv').config();
+  }
+
+  const outputDir = env.OUTPUT_DIR || './data';
+
+  return {
+    accessToken: env.HUBSPOT_ACCESS_TOKEN,      // API token (from Private App or OAuth)
+    refreshToken: env.HUBSPOT_REFRESH_TOKEN,    // OAuth refresh token
+    clientId: env.HUBSPOT_CLIENT_ID,            // OAuth client ID
+    clientSecret: env.HUBSPOT_CLIENT_SECRET,    // OAuth client secret
+    tokenExpiresAt: parseInteger(env.HUBSPOT_TOKEN_EXPIRES_AT, 'HUBSPOT_TOKEN_EXPIRES_AT', null),
+    tokenFile: env.TOKEN_FILE || '.hubspot-tokens.json', // Where OAuth tokens are stored (mode 0600)
+    tokenPassphrase: env.TOKEN_PASSPHRASE,      // Encrypts the token file when set
+    tokenRefreshMarginMs: parseInteger(env.TOKEN_REFRESH_MARGIN_SECONDS, 'TOKEN_REFRESH_MARGIN_SECONDS', 300) * 1000, // Refresh this long before expiry
+    outputDir,                                          // Directory to store the exported data
+    batchSize: parseInteger(env.BATCH_SIZE, 'BATCH_SIZE', 100, { min: 1 }), // Number of records to fetch per request
+    includeAssociations: true,                          // Whether to include associated records
+    stateFile: env.SYNC_STATE_FILE || path.join(outputDir, 'sync-state.json'), // High-water marks for incremental sync
+    lockFile: env.LOCK_FILE || path.join(outputDir, 'hubspot-sync.lock'), // Held while a sync or export runs, so runs never overlap
+    fullSync: env.FULL_SYNC === 'true',                                   // Ignore the sync state and resync everything (the CLI's --full)
+    concurrency: parseInteger(env.CONCURRENCY, 'CONCURRENCY', 5, { min: 1 }), // Records processed in parallel
+    maxRetries: parseInteger(env.MAX_RETRIES, 'MAX_RETRIES', 5),   // Retries for 429, 5xx and network errors
+    retryBaseDelayMs: parseInteger(env.RETRY_BASE_DELAY_MS, 'RETRY_BASE_DELAY_MS', 500), // First retry delay, doubled on each attempt
+    apiBaseUrl: env.HUBSPOT_API_BASE_URL,                                             // Another API server, e.g. the test suite's stand-in
+    objectTypes: parseList(env.OBJECT_TYPES, ['deals']),                      // Object types to export, e.g. deals,contacts,2-1234567
+    activityObjectTypes: parseList(env.ACTIVITY_OBJECT_TYPES, ['deals']),     // Object types whose activities are exported
+    activityTypes: parseList(env.ACTIVITY_TYPES, ENGAGEMENT_TYPES),           // Engagement types followed as activities
+    propertyMode: env.PROPERTIES || 'all',                                    // 'all' discovers every property, 'default' uses the built-in list
+    activityPropertyMode: env.ACTIVITY_PROPERTIES || 'default',               // Same for activity batch reads, e.g. 'all' for hs_email_text
+    propertyFilters: Object.fromEntries(Object.entries(env).filter(([name]) => /^PROPERTIES_(INCLUDE|EXCLUDE)_/.test(name))), // PROPERTIES_INCLUDE_{TYPE} / PROPERTIES_EXCLUDE_{TYPE}, see lib/properties
+    downloadContent: env.DOWNLOAD_CONTENT === 'true',                        // Download email bodies, call recordings and attachments
+    contentMaxBytes: Math.floor(parseNumber(env.CONTENT_MAX_MB, 'CONTENT_MAX_MB', 100) * 1024 * 1024),  // Larger files are skipped
+    contentRunMaxBytes: env.CONTENT_RUN_MAX_MB ? Math.floor(parseNumber(env.CONTENT_RUN_MAX_MB, 'CONTENT_RUN_MAX_MB') * 1024 * 1024) : null, // Bytes downloaded per run, unlimited when unset
+    redactionPolicyFile: env.REDACTION_POLICY,                                // Policy file keeping, dropping, hashing or redacting properties
+    redactionSalt: env.REDACTION_SALT,                                        // Secret salt of the policy's hash rules
+    historyProperties: parseList(env.HISTORY_PROPERTIES, []),                 // Deal properties whose change history is exported, e.g. dealstage
+    outputFormat: env.OUTPUT_FORMAT || 'json',                                // 'json' file tree, 'sqlite', 'csv' or 'ndjson'
+    sqliteFile: env.SQLITE_FILE || path.join(outputDir, 'hubspot.db'),        // Database used by the sqlite output format
+    storage: env.STORAGE || 'local',                                          // 'local' keeps files in outputDir, 's3' also uploads them
+    s3: {
+      bucket: env.S3_BUCKET,                                                  // Bucket exports are uploaded to
+      prefix: env.S3_PREFIX || 'hubspot-sync',                                // Key prefix ahead of the {YYYY}/{MM}/{DD}/run-{time} partition
+      endpoint: env.S3_ENDPOINT,                                              // Endpoint of an S3-compatible service such as MinIO
+      region: env.S3_REGION || 'us-east-1',
+      forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(env.S3_ENDPOINT), // MinIO needs path-style URLs
+      partSize: parseInteger(env.S3_PART_SIZE_MB, 'S3_PART_SIZE_MB', 8, { min: 5 }) * 1024 * 1024 // Multipart upload part size
+    },
+    modifiedSince: parseDate(env.MODIFIED_SINCE, 'MODIFIED_SINCE'),          // Only export records modified at or after this date
+    modifiedUntil: parseDate(env.MODIFIED_UNTIL, 'MODIFIED_UNTIL'),          // Only export records modified at or before this date
+    dealFilter: {                                                                   // Deals to export, passed to the search API
+      pipelines: parseList(env.DEAL_PIPELINES, []),
+      stages: parseList(env.DEAL_STAGES, []),
+      owners: parseList(env.DEAL_OWNERS, []),
+      ids: parseList(env.DEAL_IDS, [])
+    },
+    dryRun: env.DRY_RUN === 'true',                                         // Report what would be exported without writing anything
+    strictScopes: env.STRICT_SCOPES === 'true',                             // Stop before exporting when a missing scope would leave an export incomplete
+    logLevel: env.LOG_LEVEL || 'info',                                      // debug, info, warn or error
+    logFormat: env.LOG_FORMAT || 'text',                                    // 'text' or 'json' (one object per line)
+    profile: env.HUBSPOT_PROFILE,                                           // Profile being synced, set by the CLI's --profile
+    metricsFile: env.METRICS_FILE,                                          // Prometheus text format metrics of the last run, when set
+    verifySample: parseInteger(env.VERIFY_SAMPLE, 'VERIFY_SAMPLE', 0), // Records per object type verify compares with HubSpot
+    webhooks: {
+      port: parseInteger(env.WEBHOOK_PORT, 'WEBHOOK_PORT', 3001, { min: 1 }), // Port of the webhook receiver
+      path: env.WEBHOOK_PATH || '/webhooks',                                  // Path HubSpot posts events to
+      publicUrl: env.WEBHOOK_PUBLIC_URL,                                      // Target URL set in the HubSpot app, when a proxy sits in front
+      applyIntervalMs: parseInteger(env.WEBHOOK_APPLY_SECONDS, 'WEBHOOK_APPLY_SECONDS', 30, { min: 1 }) * 1000, // How often queued changes are applied
+      maxAttempts: parseInteger(env.WEBHOOK_MAX_ATTEMPTS, 'WEBHOOK_MAX_ATTEMPTS', 5, { min: 1 }), // Attempts before a failing change is dropped
+      queueFile: env.WEBHOOK_QUEUE_FILE || path.join(outputDir, 'webhook-queue.json') // Changes not applied yet
+    },
+    daemon: {
+      schedule: env.SYNC_SCHEDULE || '0 * * * *',                          // Cron expression of the daemon's runs, in local time
+      keepDaily: parseInteger(env.SNAPSHOT_KEEP_DAILY, 'SNAPSHOT_KEEP_DAILY', 7),    // Days whose last snapshot is kept
+      keepWeekly: parseInteger(env.SNAPSHOT_KEEP_WEEKLY, 'SNAPSHOT_KEEP_WEEKLY', 4) // Weeks whose last snapshot is kept
+    }
+  };
+}
+
+// Whether the deal filter selects a subset of deals
+function hasDealFilter(dealFilter) {
+  return Object.values(dealFilter).some(values => values.length > 0);
+}
+
+module.exports = {
+  loadConfig,
+  parseDate,
+  hasDealFilter
+};
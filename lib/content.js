@@ -0,0 +1,203 @@
+// Engagement content downloaded alongside the records: email bodies, call recordings and
+// transcripts, and the files attached to engagements
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Files of an engagement go to attachments/{engagementId}/
+const ATTACHMENTS_DIR = 'attachments';
+
+// Properties holding the content of each engagement type; all of them can list attachments
+const CONTENT_PROPERTIES = {
+  emails: ['hs_email_html', 'hs_email_text', 'hs_attachment_ids'],
+  calls: ['hs_call_recording_url', 'hs_call_transcription_id', 'hs_attachment_ids'],
+  notes: ['hs_attachment_ids'],
+  meetings: ['hs_attachment_ids'],
+  tasks: ['hs_attachment_ids']
+};
+
+// Error code of a download over the size limits; the file is skipped rather than failed
+const CONTENT_TOO_LARGE = 'CONTENT_TOO_LARGE';
+
+function contentProperties(type) {
+  return CONTENT_PROPERTIES[type] || ['hs_attachment_ids'];
+}
+
+function attachmentsDir(engagementId) {
+  return path.join(ATTACHMENTS_DIR, String(engagementId));
+}
+
+function tooLargeError(message) {
+  const error = new Error(message);
+  error.code = CONTENT_TOO_LARGE;
+  return error;
+}
+
+// Keep file names from HubSpot to characters that are safe on every filesystem
+function safeFileName(name) {
+  return String(name).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '').slice(0, 100) || 'file';
+}
+
+// Extension of the file a URL points to, or '' when it doesn't parse; the download then fails on its own
+function urlExtension(url) {
+  try {
+    return path.extname(new URL(url, 'https://app.hubspot.com').pathname);
+  } catch (error) {
+    return '';
+  }
+}
+
+// What to fetch for an engagement, from its content properties (each item names the property it
+// comes from). Bodies are written as they are, recordings and transcripts fetched by URL or ID,
+// attachments through the Files API.
+function listContent(type, engagement) {
+  const properties = engagement.properties || {};
+  const items = [];
+  if (type === 'emails') {
+    if (properties.hs_email_html) {
+      items.push({ kind: 'email_html', property: 'hs_email_html', fileName: 'body.html', content: properties.hs_email_html });
+    }
+    if (properties.hs_email_text) {
+      items.push({ kind: 'email_text', property: 'hs_email_text', fileName: 'body.txt', content: properties.hs_email_text });
+    }
+  }
+  if (type === 'calls') {
+    if (properties.hs_call_recording_url) {
+      const extension = urlExtension(properties.hs_call_recording_url);
+      items.push({ kind: 'recording', property: 'hs_call_recording_url', fileName: safeFileName(`recording${extension || '.mp3'}`), url: properties.hs_call_recording_url });
+    }
+    if (properties.hs_call_transcription_id) {
+      items.push({ kind: 'transcript', property: 'hs_call_transcription_id', fileName: 'transcript.json', transcriptId: properties.hs_call_transcription_id });
+    }
+  }
+  // A semicolon separated list of file IDs
+  for (const fileId of String(properties.hs_attachment_ids || '').split(';').map(id => id.trim()).filter(Boolean)) {
+    items.push({ kind: 'attachment', property: 'hs_attachment_ids', fileId });
+  }
+  return items;
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await fsPromises.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Write content held in memory, unless the file already has it
+async function writeContent(filePath, content, { maxBytes } = {}) {
+  const buffer = Buffer.from(content);
+  if (maxBytes && buffer.length > maxBytes) {
+    throw tooLargeError(`${buffer.length} bytes is over the ${maxBytes} byte limit`);
+  }
+  if (await fileSize(filePath) === buffer.length && (await fsPromises.readFile(filePath)).equals(buffer)) {
+    return { size: buffer.length, written: false };
+  }
+  await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+  await fsPromises.writeFile(filePath, buffer);
+  return { size: buffer.length, written: true };
+}
+
+// Download url to filePath. Bytes arrive in {filePath}.part, so an interrupted download resumes
+// with a Range request where it stopped (servers that ignore Range send it all again), and the
+// file only appears complete. A part the server says is complete (416 for its size) becomes the
+// file, one that no longer matches it is downloaded again. A file already there is kept.
+// Downloads over maxBytes, or known to be from expectedSize, are stopped with a CONTENT_TOO_LARGE
+// error; HTTP failures carry their status in error.code.
+async function downloadFile(url, filePath, { headers = {}, maxBytes, expectedSize } = {}) {
+  const existing = await fileSize(filePath);
+  if (existing !== null) {
+    return { size: existing, written: false };
+  }
+  if (maxBytes && expectedSize > maxBytes) {
+    throw tooLargeError(`${expectedSize} bytes is over the ${maxBytes} byte limit`);
+  }
+
+  const partPath = `${filePath}.part`;
+  const offset = await fileSize(partPath) || 0;
+  const response = await fetch(url, { headers: offset > 0 ? { ...headers, Range: `bytes=${offset}-` } : headers });
+  if (response.status === 416 && offset > 0) {
+    // Nothing is left after the part, e.g. after a crash between the last write and the rename
+    const total = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+    if (response.body) {
+      await response.body.cancel();
+    }
+    const complete = total && Number(total[1]) === offset;
+    if (complete && !(maxBytes && offset > maxBytes)) {
+      await fsPromises.rename(partPath, filePath);
+      return { size: offset, written: true, resumed: true };
+    }
+    await fsPromises.rm(partPath, { force: true });
+    if (complete) {
+      throw tooLargeError(`${offset} bytes is over the ${maxBytes} byte limit`);
+    }
+    return downloadFile(url, filePath, { headers, maxBytes, expectedSize });
+  }
+  if (!response.ok) {
+    const error = new Error(`Download failed with HTTP ${response.status}`);
+    error.code = response.status;
+    error.headers = Object.fromEntries(response.headers.entries());
+    if (response.body) {
+      await response.body.cancel();
+    }
+    throw error;
+  }
+
+  const resumed = response.status === 206;
+  const start = resumed ? offset : 0;
+  const length = response.headers.get('content-length');
+  if (maxBytes && length !== null && start + Number(length) > maxBytes) {
+    await response.body.cancel();
+    throw tooLargeError(`${start + Number(length)} bytes is over the ${maxBytes} byte limit`);
+  }
+
+  // The length isn't always announced, so the limit is also enforced while streaming
+  let size = start;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        callback(tooLargeError(`over the ${maxBytes} byte limit`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+
+  await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await pipeline(Readable.fromWeb(response.body), limit, fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }));
+  } catch (error) {
+    // Nothing of an oversized file is kept; a broken connection leaves the part to resume from
+    // and is reported as a reset, so the requester retries it
+    if (error.code === CONTENT_TOO_LARGE) {
+      await fsPromises.rm(partPath, { force: true });
+    }
+    // Filesystem errors keep their own code
+    if (error.code) {
+      throw error;
+    }
+    const interrupted = new Error(`Download interrupted after ${size} bytes: ${error.message}`);
+    interrupted.code = 'ECONNRESET';
+    throw interrupted;
+  }
+  await fsPromises.rename(partPath, filePath);
+  return { size, written: true, resumed };
+}
+
+module.exports = {
+  ATTACHMENTS_DIR,
+  CONTENT_TOO_LARGE,
+  contentProperties,
+  attachmentsDir,
+  safeFileName,
+  listContent,
+  writeContent,
+  downloadFile
+};
@@ -0,0 +1,80 @@
+// Normalization of property history and derived deal-stage transitions
+
+// Flatten a record's propertiesWithHistory into oldest-first change lists
+function normalizeHistory(record) {
+  const properties = {};
+  for (const [name, values] of Object.entries(record.propertiesWithHistory || {})) {
+    properties[name] = values
+      .map(entry => ({
+        value: entry.value,
+        timestamp: new Date(entry.timestamp).toISOString(),
+        sourceType: entry.sourceType,
+        sourceId: entry.sourceId,
+        sourceLabel: entry.sourceLabel,
+        updatedByUserId: entry.updatedByUserId
+      }))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  return {
+    deal_id: record.id,
+    timestamp: new Date().toISOString(),
+    properties
+  };
+}
+
+// Map stage IDs to their pipeline and labels, from the Pipelines API response
+function indexPipelineStages(pipelines) {
+  const stages = new Map();
+  for (const pipeline of pipelines) {
+    for (const stage of pipeline.stages) {
+      stages.set(stage.id, {
+        pipelineId: pipeline.id,
+        pipelineLabel: pipeline.label,
+        stageLabel: stage.label
+      });
+    }
+  }
+  return stages;
+}
+
+// Turn a deal's normalized dealstage history into one row per stage visit.
+// The current stage has no exit, so its exited_at and time_in_stage_ms are null.
+function buildStageTransitions(history, stageIndex) {
+  const changes = (history.properties.dealstage || []).filter(change => change.value);
+  const transitions = [];
+
+  for (let i = 0; i < changes.length; i++) {
+    const change = changes[i];
+
+    // Re-saving the same stage isn't a transition
+    if (i > 0 && changes[i - 1].value === change.value) {
+      continue;
+    }
+
+    const next = changes.slice(i + 1).find(candidate => candidate.value !== change.value);
+    const stage = stageIndex.get(change.value) || {};
+    const enteredAt = change.timestamp;
+    const exitedAt = next ? next.timestamp : null;
+
+    transitions.push({
+      deal_id: history.deal_id,
+      pipeline_id: stage.pipelineId || null,
+      pipeline_label: stage.pipelineLabel || null,
+      stage_id: change.value,
+      stage_label: stage.stageLabel || null,
+      entered_at: enteredAt,
+      exited_at: exitedAt,
+      time_in_stage_ms: exitedAt ? new Date(exitedAt) - new Date(enteredAt) : null,
+      next_stage_id: next ? next.value : null
+    });
+  }
+
+  return transitions;
+}
+
+module.exports = {
+  normalizeHistory,
+  indexPipelineStages,
+  buildStageTransitions
+};
@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Error code of a lock held by another run
+const LOCKED = 'ELOCKED';
+
+// Whether the process that wrote a lock is still running. Locks from other hosts can't be
+// checked and count as held.
+function isHolderAlive(holder) {
+  if (!holder || holder.hostname !== os.hostname() || !Number.isInteger(holder.pid)) {
+    return Boolean(holder);
+  }
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+async function readHolder(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    // A lock being written or left empty by a crash; its age decides below
+    return {};
+  }
+}
+
+// Take the lock file, which is created exclusively and holds the owner's PID, host and start time.
+// A lock left by a process that is gone (or an unreadable one older than staleMs) is taken over.
+// Throws an ELOCKED error while another run holds it. Returns a release function.
+async function acquireLock(filePath, { staleMs = 60 * 1000 } = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const holder = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(filePath, JSON.stringify(holder), { flag: 'wx' });
+      return async () => {
+        // Only remove the lock while it is still ours
+        const current = await readHolder(filePath);
+        if (current && current.pid === holder.pid && current.startedAt === holder.startedAt) {
+          await fs.rm(filePath, { force: true });
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const existing = await readHolder(filePath);
+    const unreadable = existing && existing.pid === undefined;
+    let stale = existing === null || (!unreadable && !isHolderAlive(existing));
+    if (unreadable) {
+      const stats = await fs.stat(filePath).catch(() => null);
+      stale = !stats || Date.now() - stats.mtimeMs > staleMs;
+    }
+    if (!stale) {
+      const error = new Error(`Another run holds ${filePath}` +
+        (unreadable ? '' : ` (PID ${existing.pid} on ${existing.hostname}, started ${existing.startedAt})`));
+      error.code = LOCKED;
+      throw error;
+    }
+    await fs.rm(filePath, { force: true });
+  }
+
+  const error = new Error(`Could not take ${filePath}, another run took it first`);
+  error.code = LOCKED;
+  throw error;
+}
+
+module.exports = {
+  LOCKED,
+  acquireLock
+};
@@ -0,0 +1,84 @@
+// Leveled logging for the console output of the scripts, as plain text or one JSON object per line
+const util = require('util');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['text', 'json'];
+
+// Structured fields for a log line, e.g. console.info('Progress', logFields({ processed: 10 })).
+// Text output ignores them, JSON output adds them to the line.
+const FIELDS = Symbol('log fields');
+
+function logFields(fields) {
+  return { [FIELDS]: fields };
+}
+
+// Split console arguments into the message, any structured fields and the first error
+function toEntry(level, args) {
+  let fields = {};
+  let error = null;
+  const parts = [];
+  for (const arg of args) {
+    if (arg && arg[FIELDS]) {
+      fields = { ...fields, ...arg[FIELDS] };
+      continue;
+    }
+    if (arg instanceof Error && !error) {
+      error = arg;
+    }
+    parts.push(arg);
+  }
+
+  return {
+    time: new Date().toISOString(),
+    level,
+    msg: util.format(...parts.map(part => part instanceof Error ? part.message : part)),
+    ...fields,
+    ...(error ? { error: { message: error.message, code: error.code, stack: error.stack } } : {})
+  };
+}
+
+// Route console.debug/log/info/warn/error through the level filter and format. Lines below
+// the level are dropped; warnings and errors still go to stderr.
+function setupLogging({ level = 'info', format = 'text' } = {}) {
+  if (!LOG_LEVELS[level]) {
+    throw new Error(`Unknown LOG_LEVEL: ${level} (use one of ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown LOG_FORMAT: ${format} (use one of ${LOG_FORMATS.join(', ')})`);
+  }
+
+  const write = {
+    stdout: line => process.stdout.write(line + '\n'),
+    stderr: line => process.stderr.write(line + '\n')
+  };
+  const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+  for (const [method, methodLevel] of Object.entries(methods)) {
+    const stream = LOG_LEVELS[methodLevel] >= LOG_LEVELS.warn ? write.stderr : write.stdout;
+    console[method] = (...args) => {
+      if (LOG_LEVELS[methodLevel] < LOG_LEVELS[level]) {
+        return;
+      }
+      if (format === 'json') {
+        stream(JSON.stringify(toEntry(methodLevel, args)));
+      } else {
+        stream(util.format(...args.filter(arg => !(arg && arg[FIELDS]))));
+      }
+    };
+  }
+}
+
+// A console-like logger handing each call to write as a log entry ({ time, level, msg, ...fields }),
+// for code that reports through its own channel instead of the console
+function createLogger(write) {
+  const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  return Object.fromEntries(Object.entries(methods).map(([method, level]) =>
+    [method, (...args) => write(toEntry(level, args))]));
+}
+
+module.exports = {
+  LOG_LEVELS,
+  logFields,
+  setupLogging,
+  createLogger
+};
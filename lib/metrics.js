@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Prometheus text format metrics of the last run, for the node_exporter textfile collector or
+// anything else scraping a file
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+// The value of a metric in a previous metrics file, e.g. the last successful run
+async function readPreviousValue(filePath, name) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    const line = content.split('\n').find(entry => entry.startsWith(`${name}{`) || entry.startsWith(`${name} `));
+    return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Render a run manifest as metrics. labels (e.g. the profile) are added to every sample.
+function formatMetrics(manifest, labels, lastSuccess) {
+  const metrics = [];
+  function add(name, type, help, samples) {
+    metrics.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [sampleLabels, value] of samples) {
+      metrics.push(`${name}${formatLabels({ ...labels, ...sampleLabels })} ${value}`);
+    }
+  }
+  const seconds = iso => Math.round(new Date(iso).getTime() / 1000);
+  const objectTypes = Object.entries(manifest.stats.objectTypes);
+  const api = manifest.stats.api;
+
+  add('hubspot_sync_last_run_timestamp_seconds', 'gauge', 'When the last run finished.', [[{}, seconds(manifest.finishedAt)]]);
+  add('hubspot_sync_last_run_success', 'gauge', 'Whether the last run completed without failures.', [[{}, manifest.status === 'completed' ? 1 : 0]]);
+  if (lastSuccess !== null) {
+    add('hubspot_sync_last_success_timestamp_seconds', 'gauge', 'When the last run without failures finished.', [[{}, lastSuccess]]);
+  }
+  add('hubspot_sync_last_run_duration_seconds', 'gauge', 'How long the last run took.', [[{}, manifest.durationMs / 1000]]);
+  add('hubspot_sync_records', 'gauge', 'Records exported by the last run.',
+    objectTypes.map(([objectType, counts]) => [{ object_type: objectType }, counts.records]));
+  add('hubspot_sync_activity_records', 'gauge', 'Records whose activities the last run exported, by outcome.',
+    objectTypes.flatMap(([objectType, counts]) => Object.entries(counts.activities || {})
+      .map(([status, count]) => [{ object_type: objectType, status }, count])));
+  add('hubspot_sync_removed_records', 'gauge', 'Records the last run found deleted or merged.',
+    Object.entries(manifest.removedRecords || {}).flatMap(([objectType, counts]) => [
+      [{ object_type: objectType, reason: 'deleted' }, counts.deleted],
+      [{ object_type: objectType, reason: 'merged' }, counts.merged]
+    ]));
+  add('hubspot_sync_failed_records', 'gauge', 'Records that failed to export in the last run.', [[{}, manifest.failedRecords]]);
+  add('hubspot_sync_api_requests', 'gauge', 'HubSpot API calls made by the last run.', [[{}, api.requests]]);
+  add('hubspot_sync_api_retries', 'gauge', 'Retried HubSpot API calls in the last run.', [[{}, api.retries]]);
+  add('hubspot_sync_api_rate_limited', 'gauge', 'Rate-limited (429) responses in the last run.', [[{}, api.rateLimited]]);
+  add('hubspot_sync_api_failed', 'gauge', 'HubSpot API calls that failed after retries in the last run.', [[{}, api.failed]]);
+
+  return metrics.join('\n') + '\n';
+}
+
+// Write the metrics atomically, so a scraper never reads a half-written file
+async function writeMetricsFile(filePath, manifest, labels = {}) {
+  const lastSuccess = manifest.status === 'completed'
+    ? Math.round(new Date(manifest.finishedAt).getTime() / 1000)
+    : await readPreviousValue(filePath, 'hubspot_sync_last_success_timestamp_seconds');
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(`${filePath}.tmp`, formatMetrics(manifest, labels, lastSuccess));
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+module.exports = {
+  writeMetricsFile
+};
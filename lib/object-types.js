@@ -0,0 +1,73 @@
+// Definitions of the CRM object types the sync knows how to export.
+// Custom objects are addressed by their objectTypeId (e.g. 2-1234567) and use the defaults.
+const OBJECT_TYPES = {
+  deals: {
+    properties: ['dealname', 'amount', 'dealstage', 'closedate', 'pipeline', 'createdate'],
+    associations: ['contacts', 'companies']
+  },
+  contacts: {
+    properties: ['firstname', 'lastname', 'email', 'phone', 'company', 'lifecyclestage', 'createdate'],
+    associations: ['companies'],
+    // Contacts predate the hs_ prefix for this property
+    modifiedProperty: 'lastmodifieddate'
+  },
+  companies: {
+    properties: ['name', 'domain', 'industry', 'city', 'country', 'createdate'],
+    associations: []
+  },
+  tickets: {
+    properties: ['subject', 'content', 'hs_pipeline', 'hs_pipeline_stage', 'hs_ticket_priority', 'createdate'],
+    associations: ['contacts', 'companies']
+  },
+  line_items: {
+    properties: ['name', 'quantity', 'price', 'amount', 'hs_product_id', 'createdate'],
+    associations: ['deals']
+  },
+  products: {
+    properties: ['name', 'description', 'price', 'hs_sku', 'createdate'],
+    associations: []
+  },
+  quotes: {
+    properties: ['hs_title', 'hs_status', 'hs_quote_amount', 'hs_expiration_date', 'createdate'],
+    associations: ['deals']
+  }
+};
+
+// Engagement types that can be followed as activities of an exported record
+const ENGAGEMENT_TYPES = ['notes', 'calls', 'meetings', 'emails', 'tasks'];
+
+// Custom object type IDs look like 2-1234567
+function isCustomObjectType(objectType) {
+  return /^2-\d+$/.test(objectType);
+}
+
+// Look up the export definition for an object type, falling back to defaults for custom objects
+function getObjectTypeDefinition(objectType) {
+  const definition = OBJECT_TYPES[objectType];
+  if (!definition && !isCustomObjectType(objectType)) {
+    throw new Error(`Unsupported object type: ${objectType} (use one of ${Object.keys(OBJECT_TYPES).join(', ')} or a custom objectTypeId)`);
+  }
+
+  return {
+    properties: [],
+    associations: [],
+    modifiedProperty: 'hs_lastmodifieddate',
+    ...definition
+  };
+}
+
+// Parse a comma-separated list from the environment
+function parseList(value, defaults) {
+  if (!value) {
+    return defaults;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  OBJECT_TYPES,
+  ENGAGEMENT_TYPES,
+  isCustomObjectType,
+  getObjectTypeDefinition,
+  parseList
+};
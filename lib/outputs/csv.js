@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createNdjsonOutput } = require('./ndjson');
+const { readNdjson, createLineWriter } = require('./flatten');
+
+// Separator for list values such as association IDs within one CSV cell
+const LIST_DELIMITER = ';';
+
+// Flattened rows are kept as NDJSON here and rendered to CSV, since CSV can't be merged in place
+const SOURCE_DIR = '.csv-source';
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (Array.isArray(value)) {
+    text = value.join(LIST_DELIMITER);
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render {type}.ndjson to {type}.csv with the union of all rows' columns as the header
+async function renderCsv(storage, type, logger) {
+  const sourcePath = storage.localPath(path.join(SOURCE_DIR, `${type}.ndjson`));
+  const csvPath = storage.localPath(`${type}.csv`);
+  const columns = [];
+  const seen = new Set();
+  for await (const row of readNdjson(sourcePath)) {
+    for (const column of Object.keys(row)) {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
+    }
+  }
+
+  const tempPath = `${csvPath}.tmp`;
+  const writer = createLineWriter(tempPath);
+  if (columns.length > 0) {
+    await writer.write(columns.map(toCsvCell).join(','));
+  }
+  for await (const row of readNdjson(sourcePath)) {
+    await writer.write(columns.map(column => toCsvCell(row[column])).join(','));
+  }
+  await writer.close();
+  await fs.rename(tempPath, csvPath);
+  await storage.publishFile(`${type}.csv`);
+  logger.log(`Data saved to ${csvPath}`);
+}
+
+// Output backend writing one {type}.csv file per object and activity type, with properties
+// flattened to columns and association IDs as delimited {type}_ids columns
+function createCsvOutput({ storage, activityTypes, logger = console }) {
+  const source = createNdjsonOutput({ storage, recordsDir: SOURCE_DIR, publishRecords: false, activityTypes, logger });
+
+  return {
+    ...source,
+
+    async openRecords(objectType, options) {
+      const writer = await source.openRecords(objectType, options);
+      return {
+        write: writer.write,
+        remove: writer.remove,
+        async close() {
+          await writer.close();
+          await renderCsv(storage, objectType, logger);
+        }
+      };
+    },
+
+    // Activity rows are merged on close, so their CSV files are rendered afterwards
+    async close() {
+      await source.close();
+      for (const type of activityTypes) {
+        try {
+          await fs.access(storage.localPath(path.join(SOURCE_DIR, `${type}.ndjson`)));
+        } catch (error) {
+          continue;
+        }
+        await renderCsv(storage, type, logger);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createCsvOutput
+};
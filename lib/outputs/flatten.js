@@ -0,0 +1,69 @@
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+
+// Flatten a CRM record for tabular outputs: base fields first, then one column per
+// property, one {type}_ids list per association type and the paths of downloaded content
+function flattenRecord(record, extraAssociations = {}) {
+  const row = {
+    id: String(record.id),
+    created_at: record.createdAt ? new Date(record.createdAt).toISOString() : null,
+    updated_at: record.updatedAt ? new Date(record.updatedAt).toISOString() : null,
+    archived: Boolean(record.archived)
+  };
+
+  for (const [name, value] of Object.entries(record.properties || {})) {
+    if (!(name in row)) {
+      row[name] = value;
+    }
+  }
+
+  for (const [toType, collection] of Object.entries(record.associations || {})) {
+    row[`${toType}_ids`] = [...new Set((collection.results || []).map(result => String(result.id)))];
+  }
+  for (const [toType, ids] of Object.entries(extraAssociations)) {
+    row[`${toType}_ids`] = ids.map(String);
+  }
+
+  // Content downloaded for an engagement, by its path in the output directory
+  if (record.attachments) {
+    row.attachment_paths = record.attachments.filter(attachment => attachment.path).map(attachment => attachment.path);
+  }
+
+  return row;
+}
+
+// Read a newline-delimited JSON file one parsed line at a time
+async function* readNdjson(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+// Write lines to a file through a stream, waiting for it to drain under backpressure
+function createLineWriter(filePath, { append = false } = {}) {
+  const stream = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' });
+  return {
+    async write(line) {
+      if (!stream.write(line + '\n')) {
+        await once(stream, 'drain');
+      }
+    },
+    async close() {
+      stream.end();
+      await once(stream, 'finish');
+    }
+  };
+}
+
+module.exports = {
+  flattenRecord,
+  readNdjson,
+  createLineWriter
+};
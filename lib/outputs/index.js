@@ -0,0 +1,26 @@
+const { createJsonOutput } = require('./json');
+const { createSqliteOutput } = require('./sqlite');
+const { createNdjsonOutput } = require('./ndjson');
+const { createCsvOutput } = require('./csv');
+
+// Output backends selectable with OUTPUT_FORMAT
+const OUTPUT_FORMATS = {
+  json: options => createJsonOutput(options),
+  sqlite: options => createSqliteOutput(options),
+  ndjson: options => createNdjsonOutput(options),
+  csv: options => createCsvOutput(options)
+};
+
+// Create the output backend for a format
+function createOutput(format, options) {
+  const factory = OUTPUT_FORMATS[format];
+  if (!factory) {
+    throw new Error(`Unknown output format: ${format} (use one of ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  createOutput
+};
@@ -0,0 +1,95 @@
+const path = require('path');
+
+// Relative directory of an object type's activity files; deals keep the original activities/{dealId}.json layout
+function activitiesDir(objectType) {
+  return objectType === 'deals' ? 'activities' : path.join('activities', objectType);
+}
+
+// Relative path of a record's activities file
+function activitiesFile(objectType, id) {
+  return path.join(activitiesDir(objectType), `${id}.json`);
+}
+
+// Relative directory of the engagement store of a type; each engagement is stored once there,
+// whichever records it belongs to
+function engagementsDir(type) {
+  return path.join('engagements', type);
+}
+
+// Replace existing records with their updated versions, appending new ones
+function mergeObjects(existingRecords, changedRecords) {
+  const recordsById = new Map(existingRecords.map(record => [record.id, record]));
+  for (const record of changedRecords) {
+    recordsById.set(record.id, record);
+  }
+  return [...recordsById.values()];
+}
+
+// Output backend writing the JSON file tree: {objectType}.json, activities/, history/ and friends
+function createJsonOutput({ storage }) {
+  return {
+    async open() {},
+
+    async writeSchema(objectType, schema) {
+      await storage.saveToFile(schema, `${objectType}.schema.json`);
+    },
+
+    // {objectType}.json is a single array, so records are collected until the writer closes.
+    // Without replace, changed records are merged into the file from the previous run and
+    // removed ones (e.g. deleted in HubSpot) are dropped from it.
+    async openRecords(objectType, { replace }) {
+      const records = [];
+      const removedIds = new Set();
+      return {
+        async write(page) {
+          records.push(...page);
+        },
+        async remove(ids) {
+          ids.forEach(id => removedIds.add(String(id)));
+        },
+        async close() {
+          const existingRecords = replace ? [] : (await storage.readFromFile(`${objectType}.json`)) || [];
+          const merged = mergeObjects(existingRecords, records).filter(record => !removedIds.has(String(record.id)));
+          await storage.saveToFile(merged, `${objectType}.json`);
+        }
+      };
+    },
+
+    // A record's activities file references its engagements, which are written once by writeEngagements
+    async writeActivities(objectType, objectId, activities) {
+      await storage.saveToFile(activities, activitiesFile(objectType, objectId));
+    },
+
+    async writeEngagements(type, engagements) {
+      for (const engagement of engagements) {
+        await storage.saveToFile(engagement, path.join(engagementsDir(type), `${engagement.id}.json`));
+      }
+    },
+
+    // Drop the file from a previous run if the record lost all its activities
+    async removeActivities(objectType, objectId) {
+      await storage.removeFile(activitiesFile(objectType, objectId));
+    },
+
+    async writeDocument(name, data) {
+      await storage.saveToFile(data, name);
+    },
+
+    async readDocument(name) {
+      return storage.readFromFile(name);
+    },
+
+    async removeDocument(name) {
+      await storage.removeFile(name);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  activitiesDir,
+  activitiesFile,
+  engagementsDir,
+  createJsonOutput
+};
@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createJsonOutput } = require('./json');
+const { flattenRecord, readNdjson, createLineWriter } = require('./flatten');
+
+// Engagement rows and the engagements each record references, written during a run and merged
+// into the activity files on close
+const PENDING_ACTIVITIES_FILE = '.pending-activities.ndjson';
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Output backend writing one {type}.ndjson file per object and activity type, one flattened
+// record per line. Records are streamed to disk page by page. Property schemas, history and
+// other datasets are written as JSON files alongside. The CSV backend keeps its rows in a
+// recordsDir of its own and doesn't publish them.
+function createNdjsonOutput({ storage, recordsDir = '', publishRecords = true, activityTypes, logger = console }) {
+  const documents = createJsonOutput({ storage });
+  const pendingFile = storage.localPath(path.join(recordsDir, PENDING_ACTIVITIES_FILE));
+
+  function recordsFile(type) {
+    return path.join(recordsDir, `${type}.ndjson`);
+  }
+
+  // Hand a finished file to the storage sink, which uploads it when exporting to a bucket
+  async function publish(type) {
+    if (publishRecords) {
+      await storage.publishFile(recordsFile(type));
+    }
+  }
+
+  // Appends to the pending file are serialized so lines from parallel workers never interleave
+  let pendingWrites = Promise.resolve();
+  function appendPending(entry) {
+    pendingWrites = pendingWrites.then(() => fs.appendFile(pendingFile, JSON.stringify(entry) + '\n'));
+    return pendingWrites;
+  }
+
+  // Parent IDs a row keeps from the previous file: those in its {parentType}_ids columns whose
+  // parent records weren't touched this run
+  function untouchedParents(row, touched) {
+    const kept = {};
+    for (const [column, ids] of Object.entries(row)) {
+      if (column.endsWith('_ids') && Array.isArray(ids)) {
+        const parentType = column.slice(0, -'_ids'.length);
+        kept[column] = ids.filter(id => !touched.has(`${parentType}:${id}`));
+      }
+    }
+    return kept;
+  }
+
+  // Rewrite the activity files touched this run (or in an interrupted one). Each engagement is
+  // one row, with the records it belongs to in {parentType}_ids: the records that reference it in
+  // their last entry, plus untouched ones from the previous file. Rows left without any are dropped.
+  async function mergePendingActivities() {
+    await pendingWrites;
+    if (!(await fileExists(pendingFile))) {
+      return;
+    }
+
+    // The last entry per parent and the latest row per engagement win, e.g. when a record was
+    // redone after a crash
+    const lastEntry = new Map();
+    const lastRow = new Map();
+    const types = new Set(activityTypes);
+    let index = 0;
+    for await (const entry of readNdjson(pendingFile)) {
+      if (entry.engagementType) {
+        types.add(entry.engagementType);
+        entry.rows.forEach(row => lastRow.set(`${entry.engagementType}:${row.id}`, index));
+      } else {
+        lastEntry.set(`${entry.parentType}:${entry.parentId}`, index);
+        Object.keys(entry.refs || {}).forEach(type => types.add(type));
+      }
+      index++;
+    }
+
+    // Records referencing each engagement: `${type}:${id}` -> { {parentType}_ids: [ids] }
+    const parents = new Map();
+    index = 0;
+    for await (const entry of readNdjson(pendingFile)) {
+      const isLast = !entry.engagementType && lastEntry.get(`${entry.parentType}:${entry.parentId}`) === index;
+      index++;
+      if (!isLast) {
+        continue;
+      }
+      for (const [type, ids] of Object.entries(entry.refs || {})) {
+        for (const id of ids) {
+          const key = `${type}:${id}`;
+          const columns = parents.get(key) || {};
+          const column = `${entry.parentType}_ids`;
+          columns[column] = [...(columns[column] || []), entry.parentId];
+          parents.set(key, columns);
+        }
+      }
+    }
+
+    function withParents(type, row, kept) {
+      const current = parents.get(`${type}:${row.id}`) || {};
+      const merged = { ...row };
+      let hasParent = false;
+      for (const column of new Set([...Object.keys(kept), ...Object.keys(current)])) {
+        merged[column] = [...new Set([...(kept[column] || []), ...(current[column] || [])])];
+        hasParent = hasParent || merged[column].length > 0;
+      }
+      return hasParent ? merged : null;
+    }
+
+    for (const type of types) {
+      const filePath = storage.localPath(recordsFile(type));
+      const tempPath = `${filePath}.tmp`;
+      const writer = createLineWriter(tempPath);
+
+      // Rows read again this run are written below with the new content. Files from older versions
+      // have a row per engagement and parent, whose parents are combined.
+      const keptForRewritten = new Map();
+      if (await fileExists(filePath)) {
+        for await (const row of readNdjson(filePath)) {
+          const kept = untouchedParents(row, lastEntry);
+          if (lastRow.has(`${type}:${row.id}`)) {
+            const previous = keptForRewritten.get(row.id) || {};
+            for (const [column, ids] of Object.entries(previous)) {
+              kept[column] = [...new Set([...ids, ...(kept[column] || [])])];
+            }
+            keptForRewritten.set(row.id, kept);
+            continue;
+          }
+          const merged = withParents(type, row, kept);
+          if (merged) {
+            await writer.write(JSON.stringify(merged));
+          }
+        }
+      }
+
+      index = 0;
+      for await (const entry of readNdjson(pendingFile)) {
+        const entryIndex = index++;
+        if (entry.engagementType !== type) {
+          continue;
+        }
+        for (const row of entry.rows) {
+          if (lastRow.get(`${type}:${row.id}`) === entryIndex) {
+            const merged = withParents(type, row, keptForRewritten.get(row.id) || {});
+            if (merged) {
+              await writer.write(JSON.stringify(merged));
+            }
+          }
+        }
+      }
+
+      await writer.close();
+      await fs.rename(tempPath, filePath);
+      await publish(type);
+    }
+
+    await fs.rm(pendingFile, { force: true });
+  }
+
+  return {
+    async open() {
+      await storage.ensureDirectoryExists(recordsDir);
+      await documents.open();
+    },
+
+    async writeSchema(objectType, schema) {
+      await documents.writeSchema(objectType, schema);
+    },
+
+    // Records stream to a temp file that replaces {objectType}.ndjson on close. Without
+    // replace, records from the previous file that weren't rewritten or removed are carried over.
+    async openRecords(objectType, { replace }) {
+      const filePath = storage.localPath(recordsFile(objectType));
+      const tempPath = `${filePath}.tmp`;
+      const writer = createLineWriter(tempPath);
+      const writtenIds = new Set();
+      const removedIds = new Set();
+
+      return {
+        async write(page) {
+          for (const record of page) {
+            writtenIds.add(String(record.id));
+            await writer.write(JSON.stringify(flattenRecord(record)));
+          }
+        },
+        async remove(ids) {
+          ids.forEach(id => removedIds.add(String(id)));
+        },
+        async close() {
+          if (!replace && await fileExists(filePath)) {
+            for await (const row of readNdjson(filePath)) {
+              if (!writtenIds.has(row.id) && !removedIds.has(row.id)) {
+                await writer.write(JSON.stringify(row));
+              }
+            }
+          }
+          await writer.close();
+          await fs.rename(tempPath, filePath);
+          await publish(objectType);
+          logger.log(`Data saved to ${filePath}`);
+        }
+      };
+    },
+
+    // The engagements a record references; on close they get the record in {objectType}_ids
+    async writeActivities(objectType, objectId, activities) {
+      const refs = {};
+      for (const [type, data] of Object.entries(activities.activity_types)) {
+        refs[type] = (data.associations || []).map(association => String(association.toObjectId));
+      }
+      await appendPending({ parentType: objectType, parentId: String(objectId), refs });
+    },
+
+    async removeActivities(objectType, objectId) {
+      await appendPending({ parentType: objectType, parentId: String(objectId), refs: {} });
+    },
+
+    // Each engagement becomes one row of {type}.ndjson, however many records it belongs to
+    async writeEngagements(type, engagements) {
+      if (engagements.length > 0) {
+        await appendPending({ engagementType: type, rows: engagements.map(engagement => flattenRecord(engagement)) });
+      }
+    },
+
+    async writeDocument(name, data) {
+      await documents.writeDocument(name, data);
+    },
+
+    async readDocument(name) {
+      return documents.readDocument(name);
+    },
+
+    async removeDocument(name) {
+      await documents.removeDocument(name);
+    },
+
+    async close() {
+      await mergePendingActivities();
+    }
+  };
+}
+
+module.exports = {
+  createNdjsonOutput
+};
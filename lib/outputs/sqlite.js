@@ -0,0 +1,321 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// SQLite column types for HubSpot property types; everything else is stored as TEXT
+const COLUMN_TYPES = {
+  number: 'REAL',
+  bool: 'INTEGER'
+};
+
+// Columns every object table has, ahead of its property columns
+const BASE_COLUMNS = ['id', 'created_at', 'updated_at', 'archived'];
+
+function quote(identifier) {
+  return `"${String(identifier).replace(/"/g, '""')}"`;
+}
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Convert a property value (always a string from the API) to its column type
+function toColumnValue(value, columnType) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (columnType === 'REAL') {
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+  if (columnType === 'INTEGER') {
+    return value === true || value === 'true' ? 1 : 0;
+  }
+  return String(value);
+}
+
+// Edge rows for v3 ({ id, type }) and v4 ({ toObjectId, associationTypes }) association results
+function toEdgeRows(fromId, associations) {
+  const rows = [];
+  for (const association of associations) {
+    if (association.toObjectId !== undefined) {
+      for (const associationType of association.associationTypes || []) {
+        rows.push({
+          from_id: String(fromId),
+          to_id: String(association.toObjectId),
+          association_type: String(associationType.typeId),
+          category: associationType.category || null,
+          label: associationType.label || null
+        });
+      }
+    } else {
+      rows.push({
+        from_id: String(fromId),
+        to_id: String(association.id),
+        association_type: association.type || 'default',
+        category: null,
+        label: null
+      });
+    }
+  }
+  return rows;
+}
+
+// Output backend writing typed tables and association join tables into a SQLite database.
+// Rows are upserted on the HubSpot ID, so repeated runs update them in place.
+function createSqliteOutput({ storage, databaseFile, activityTypes, logger = console }) {
+  // Loaded lazily so the native module is only required when this backend is used
+  const Database = require('better-sqlite3');
+  let db;
+
+  // Existing columns per table, and property types from the schema for new ones
+  const columnTypes = new Map();
+  const schemaTypes = new Map();
+
+  function getColumnTypes(objectType) {
+    if (!columnTypes.has(objectType)) {
+      const existing = new Map();
+      ensureObjectTable(objectType);
+      for (const column of db.prepare(`PRAGMA table_info(${quote(objectType)})`).all()) {
+        existing.set(column.name, column.type);
+      }
+      columnTypes.set(objectType, existing);
+    }
+    return columnTypes.get(objectType);
+  }
+
+  function ensureObjectTable(objectType) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${quote(objectType)} (
+      id TEXT PRIMARY KEY,
+      created_at TEXT,
+      updated_at TEXT,
+      archived INTEGER
+    )`);
+  }
+
+  // Add columns for properties we haven't stored before
+  function ensureColumns(objectType, properties) {
+    const columns = getColumnTypes(objectType);
+    for (const [name, type] of properties) {
+      if (!columns.has(name)) {
+        db.exec(`ALTER TABLE ${quote(objectType)} ADD COLUMN ${quote(name)} ${type}`);
+        columns.set(name, type);
+      }
+    }
+  }
+
+  function ensureEdgeTable(table) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${quote(table)} (
+      from_id TEXT NOT NULL,
+      to_id TEXT NOT NULL,
+      association_type TEXT NOT NULL,
+      category TEXT,
+      label TEXT,
+      PRIMARY KEY (from_id, to_id, association_type)
+    )`);
+    db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${table}_to_id`)} ON ${quote(table)} (to_id)`);
+  }
+
+  // Join tables of associations returned inline with records, e.g. deals_to_contacts
+  function inlineEdgeTables(objectType) {
+    const activityTables = activityTypes.map(activityType => `${objectType}_to_${activityType}`);
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all()
+      .map(row => row.name)
+      .filter(name => name.startsWith(`${objectType}_to_`) && !activityTables.includes(name));
+  }
+
+  // Replace the edges of one record in one join table
+  function writeEdges(table, fromId, rows) {
+    ensureEdgeTable(table);
+    db.prepare(`DELETE FROM ${quote(table)} WHERE from_id = ?`).run(String(fromId));
+    const insert = db.prepare(`INSERT OR REPLACE INTO ${quote(table)}
+      (from_id, to_id, association_type, category, label)
+      VALUES (@from_id, @to_id, @association_type, @category, @label)`);
+    rows.forEach(row => insert.run(row));
+  }
+
+  function upsertRows(objectType, records) {
+    const properties = new Map();
+    const known = getColumnTypes(objectType);
+    const typed = schemaTypes.get(objectType) || new Map();
+    for (const record of records) {
+      for (const name of Object.keys(record.properties || {})) {
+        if (!BASE_COLUMNS.includes(name) && !properties.has(name)) {
+          properties.set(name, known.get(name) || typed.get(name) || 'TEXT');
+        }
+      }
+    }
+    ensureColumns(objectType, properties);
+
+    const columns = [...BASE_COLUMNS, ...properties.keys()];
+    const insert = db.prepare(`INSERT INTO ${quote(objectType)} (${columns.map(quote).join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT(id) DO UPDATE SET ${columns.slice(1).map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`);
+
+    for (const record of records) {
+      const values = [
+        String(record.id),
+        toIsoString(record.createdAt),
+        toIsoString(record.updatedAt),
+        record.archived ? 1 : 0,
+        ...[...properties.entries()].map(([name, type]) => toColumnValue((record.properties || {})[name], type))
+      ];
+      insert.run(values);
+
+      // Associations returned inline with the record (e.g. deal contacts and companies)
+      for (const [toType, collection] of Object.entries(record.associations || {})) {
+        writeEdges(`${objectType}_to_${toType}`, record.id, toEdgeRows(record.id, collection.results || []));
+      }
+    }
+  }
+
+  return {
+    async open() {
+      await fs.mkdir(path.dirname(databaseFile), { recursive: true });
+      db = new Database(databaseFile);
+      db.pragma('journal_mode = WAL');
+      db.exec(`CREATE TABLE IF NOT EXISTS property_definitions (
+        object_type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        label TEXT,
+        type TEXT,
+        field_type TEXT,
+        definition TEXT,
+        PRIMARY KEY (object_type, name)
+      )`);
+      db.exec(`CREATE TABLE IF NOT EXISTS attachments (
+        engagement_type TEXT NOT NULL,
+        engagement_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        path TEXT,
+        size INTEGER,
+        status TEXT NOT NULL,
+        detail TEXT
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS attachments_engagement ON attachments (engagement_type, engagement_id)');
+      db.exec(`CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`);
+      logger.log(`Writing to SQLite database ${databaseFile}`);
+    },
+
+    // Record property definitions; columns are typed from them as properties show up
+    async writeSchema(objectType, schema) {
+      const insert = db.prepare(`INSERT OR REPLACE INTO property_definitions
+        (object_type, name, label, type, field_type, definition) VALUES (?, ?, ?, ?, ?, ?)`);
+      db.transaction(() => {
+        for (const property of schema) {
+          insert.run(objectType, property.name, property.label, property.type, property.fieldType, JSON.stringify(property));
+        }
+      })();
+      schemaTypes.set(objectType, new Map(schema.map(property => [property.name, COLUMN_TYPES[property.type] || 'TEXT'])));
+    },
+
+    // Records are written in one transaction when the writer closes, so an interrupted
+    // run never leaves a half-replaced table. A full sync (replace) drops records gone from HubSpot,
+    // other runs drop the ones they remove along with their inline associations.
+    async openRecords(objectType, { replace }) {
+      const records = [];
+      const removedIds = new Set();
+      return {
+        async write(page) {
+          records.push(...page);
+        },
+        async remove(ids) {
+          ids.forEach(id => removedIds.add(String(id)));
+        },
+        async close() {
+          ensureObjectTable(objectType);
+          db.transaction(() => {
+            if (replace) {
+              db.prepare(`DELETE FROM ${quote(objectType)}`).run();
+            }
+            const deleteRecord = db.prepare(`DELETE FROM ${quote(objectType)} WHERE id = ?`);
+            for (const id of removedIds) {
+              deleteRecord.run(id);
+              for (const table of inlineEdgeTables(objectType)) {
+                db.prepare(`DELETE FROM ${quote(table)} WHERE from_id = ?`).run(id);
+              }
+            }
+            upsertRows(objectType, records);
+            if (replace) {
+              for (const table of inlineEdgeTables(objectType)) {
+                db.prepare(`DELETE FROM ${quote(table)} WHERE from_id NOT IN (SELECT id FROM ${quote(objectType)})`).run();
+              }
+            }
+          })();
+          logger.log(`Saved ${records.length} ${objectType} to ${databaseFile}`);
+        }
+      };
+    },
+
+    // Records are linked to their engagements through {objectType}_to_{activityType}
+    async writeActivities(objectType, objectId, activities) {
+      db.transaction(() => {
+        for (const [activityType, data] of Object.entries(activities.activity_types)) {
+          const associations = Array.isArray(data) ? data : data.associations;
+          writeEdges(`${objectType}_to_${activityType}`, objectId, toEdgeRows(objectId, associations || []));
+        }
+      })();
+    },
+
+    // Engagements go into their own tables, one row each however many records they belong to.
+    // Content downloaded for them is listed in attachments, with its path in the output directory.
+    async writeEngagements(type, engagements) {
+      if (engagements.length > 0) {
+        db.transaction(() => {
+          upsertRows(type, engagements);
+          const clear = db.prepare('DELETE FROM attachments WHERE engagement_type = ? AND engagement_id = ?');
+          const insert = db.prepare(`INSERT INTO attachments (engagement_type, engagement_id, kind, path, size, status, detail)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`);
+          for (const engagement of engagements.filter(engagement => engagement.attachments)) {
+            clear.run(type, String(engagement.id));
+            for (const { kind, path: filePath, size, status, ...detail } of engagement.attachments) {
+              insert.run(type, String(engagement.id), kind, filePath || null, size === undefined ? null : size, status, JSON.stringify(detail));
+            }
+          }
+        })();
+      }
+    },
+
+    async removeActivities(objectType, objectId) {
+      db.transaction(() => {
+        for (const activityType of activityTypes) {
+          const table = `${objectType}_to_${activityType}`;
+          ensureEdgeTable(table);
+          db.prepare(`DELETE FROM ${quote(table)} WHERE from_id = ?`).run(String(objectId));
+        }
+      })();
+    },
+
+    async writeDocument(name, data) {
+      db.prepare('INSERT OR REPLACE INTO documents (name, content, updated_at) VALUES (?, ?, ?)')
+        .run(name, JSON.stringify(data), new Date().toISOString());
+    },
+
+    async readDocument(name) {
+      const row = db.prepare('SELECT content FROM documents WHERE name = ?').get(name);
+      return row ? JSON.parse(row.content) : null;
+    },
+
+    async removeDocument(name) {
+      db.prepare('DELETE FROM documents WHERE name = ?').run(name);
+    },
+
+    // The database is handed to the storage sink once closed, named by its place in the
+    // output directory (or just its file name when kept elsewhere)
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+        const relativePath = path.relative(storage.localPath(''), databaseFile);
+        await storage.publishFile(relativePath.startsWith('..') ? path.basename(databaseFile) : relativePath, databaseFile);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSqliteOutput
+};
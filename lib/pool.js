@@ -0,0 +1,21 @@
+// Run worker over items with at most `concurrency` calls in flight.
+// Workers handle their own errors; a rejection stops the pool.
+async function runPool(items, concurrency, worker) {
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  }
+
+  // At least one worker, also when concurrency isn't a usable number
+  const limit = Number.isFinite(concurrency) && concurrency >= 1 ? Math.floor(concurrency) : 1;
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+module.exports = {
+  runPool
+};
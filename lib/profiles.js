@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// Profile fields and the environment variables they set; anything else goes in a profile's "env"
+const PROFILE_FIELDS = {
+  clientId: 'HUBSPOT_CLIENT_ID',
+  clientSecret: 'HUBSPOT_CLIENT_SECRET',
+  redirectUri: 'HUBSPOT_REDIRECT_URI',
+  scopes: 'HUBSPOT_SCOPES',
+  accessToken: 'HUBSPOT_ACCESS_TOKEN'
+};
+
+// Credentials of the default account in .env that must not leak into a profile
+const ACCOUNT_VARIABLES = ['HUBSPOT_ACCESS_TOKEN', 'HUBSPOT_REFRESH_TOKEN', 'HUBSPOT_TOKEN_EXPIRES_AT'];
+
+function profilesFile() {
+  return process.env.PROFILES_FILE || 'profiles.json';
+}
+
+function tokenDir() {
+  return process.env.TOKEN_DIR || '.hubspot-tokens';
+}
+
+// Token file of a portal, named by the portal ID the OAuth flow found for it
+function portalTokenFile(portalId) {
+  return path.join(tokenDir(), `${portalId}.json`);
+}
+
+// Read the profiles file: { "profiles": { "<name>": { clientId, scopes, portalId, outputDir, env } } }.
+// Read synchronously since it decides the environment the configuration is loaded from.
+function loadProfiles() {
+  let content;
+  try {
+    content = fsSync.readFileSync(profilesFile(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+  return JSON.parse(content).profiles || {};
+}
+
+function getProfile(name) {
+  const profiles = loadProfiles();
+  if (!profiles[name]) {
+    const known = Object.keys(profiles);
+    throw new Error(`Unknown profile: ${name} (${known.length > 0 ? `use one of ${known.join(', ')}` : `none defined in ${profilesFile()}`})`);
+  }
+  return profiles[name];
+}
+
+// Set the environment for a profile before the configuration is loaded. Settings the profile
+// leaves out come from .env, except the default account's tokens. Each portal gets its own
+// output folder under OUTPUT_DIR and, once authorized, its own token file. Variables in keep
+// (e.g. set by command-line flags) are left alone.
+function applyProfile(name, { keep = new Set(), allowUnknown = false } = {}) {
+  require('dotenv').config();
+  const profile = loadProfiles()[name] || (allowUnknown ? {} : getProfile(name));
+
+  const variables = {};
+  for (const variable of ACCOUNT_VARIABLES) {
+    variables[variable] = '';
+  }
+  for (const [field, variable] of Object.entries(PROFILE_FIELDS)) {
+    if (profile[field]) {
+      variables[variable] = Array.isArray(profile[field]) ? profile[field].join(' ') : String(profile[field]);
+    }
+  }
+
+  const baseOutputDir = process.env.OUTPUT_DIR || './data';
+  const outputDir = profile.outputDir || path.join(baseOutputDir, String(profile.portalId || name));
+  variables.OUTPUT_DIR = outputDir;
+  variables.SYNC_STATE_FILE = path.join(outputDir, 'sync-state.json');
+  variables.SQLITE_FILE = path.join(outputDir, 'hubspot.db');
+  variables.TOKEN_FILE = profile.portalId ? portalTokenFile(profile.portalId) : path.join(tokenDir(), `${name}.json`);
+  variables.HUBSPOT_PROFILE = name;
+  Object.assign(variables, profile.env || {});
+
+  for (const [variable, value] of Object.entries(variables)) {
+    if (!keep.has(variable)) {
+      process.env[variable] = String(value);
+    }
+  }
+  return profile;
+}
+
+// Record the portal a profile was authorized for, creating the profile if needed
+async function savePortalId(name, portalId) {
+  let content = { profiles: {} };
+  try {
+    content = JSON.parse(await fs.readFile(profilesFile(), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  content.profiles = content.profiles || {};
+  content.profiles[name] = { ...content.profiles[name], portalId };
+
+  const tempPath = `${profilesFile()}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(content, null, 2) + '\n');
+  await fs.rename(tempPath, profilesFile());
+}
+
+module.exports = {
+  loadProfiles,
+  getProfile,
+  applyProfile,
+  portalTokenFile,
+  savePortalId
+};
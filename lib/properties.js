@@ -0,0 +1,80 @@
+// Property selection and schema helpers for the Properties API
+
+// Property modes: discover every property, or use the built-in defaults for the type
+const PROPERTY_MODES = ['all', 'default'];
+
+// Property names are sent in the query string of GET requests; beyond this many
+// characters we read them through the POST batch API instead to stay under URL limits
+const MAX_QUERY_PROPERTY_LENGTH = 2000;
+
+// Environment variable suffix for an object type, e.g. deals -> DEALS, 2-1234567 -> 2_1234567
+function envSuffix(objectType) {
+  return objectType.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function parseNames(value) {
+  return value ? value.split(',').map(name => name.trim()).filter(Boolean) : null;
+}
+
+// Read PROPERTIES_INCLUDE_{TYPE} / PROPERTIES_EXCLUDE_{TYPE} for an object type from the
+// variables the configuration was loaded from (config.propertyFilters)
+function readPropertyFilter(objectType, env) {
+  const suffix = envSuffix(objectType);
+  return {
+    include: parseNames(env[`PROPERTIES_INCLUDE_${suffix}`]),
+    exclude: parseNames(env[`PROPERTIES_EXCLUDE_${suffix}`]) || []
+  };
+}
+
+// Pick the property names to request. Returns undefined to let HubSpot return its defaults.
+function selectProperties(schema, defaults, mode, filter) {
+  if (!PROPERTY_MODES.includes(mode)) {
+    throw new Error(`Unknown property mode: ${mode} (use one of ${PROPERTY_MODES.join(', ')})`);
+  }
+
+  let names;
+  if (filter.include) {
+    names = filter.include;
+  } else if (mode === 'all') {
+    names = schema.map(property => property.name);
+  } else {
+    names = defaults;
+  }
+
+  names = names.filter(name => !filter.exclude.includes(name));
+  return names.length > 0 ? names : undefined;
+}
+
+// Whether a property list is too long to send in a query string
+function exceedsQueryLimit(properties) {
+  return Boolean(properties) && properties.join(',').length > MAX_QUERY_PROPERTY_LENGTH;
+}
+
+// Reduce the Properties API response to what consumers of the export need
+function summarizeSchema(schema) {
+  return schema.map(property => ({
+    name: property.name,
+    label: property.label,
+    type: property.type,
+    fieldType: property.fieldType,
+    description: property.description,
+    groupName: property.groupName,
+    calculated: property.calculated,
+    hubspotDefined: property.hubspotDefined,
+    referencedObjectType: property.referencedObjectType,
+    options: (property.options || []).map(option => ({
+      label: option.label,
+      value: option.value,
+      displayOrder: option.displayOrder,
+      hidden: option.hidden
+    }))
+  }));
+}
+
+module.exports = {
+  PROPERTY_MODES,
+  readPropertyFilter,
+  selectProperties,
+  exceedsQueryLimit,
+  summarizeSchema
+};
@@ -0,0 +1,251 @@
+// Field-level redaction of exported records, from a policy file (REDACTION_POLICY):
+//
+//   {
+//     "default": "keep",
+//     "objectTypes": {
+//       "*": { "properties": { "phone": "hash", "email": "hash" } },
+//       "emails": {
+//         "default": "drop",
+//         "properties": {
+//           "hs_timestamp": "keep",
+//           "hs_email_subject": { "action": "redact", "patterns": ["email", "phone"] },
+//           "hs_email_text": { "action": "redact", "patterns": ["email", "\\b\\d{16}\\b"], "replacement": "[card]" }
+//         }
+//       }
+//     }
+//   }
+//
+// Each property of a record is kept, dropped, hashed (HMAC-SHA256 with REDACTION_SALT, so equal
+// values still join) or has the matches of regular expressions replaced. A property's rule is
+// looked up in its object type, then in "*", then the type's default, the "*" default and the
+// policy default (keep). Record IDs and associations are never changed.
+const crypto = require('crypto');
+const fsSync = require('fs');
+
+const ACTIONS = ['keep', 'drop', 'hash', 'redact'];
+
+// Patterns usable by name in redact rules
+const NAMED_PATTERNS = {
+  email: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+  phone: '\\+?\\d[\\d\\s().-]{6,}\\d'
+};
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+// The report of the fields a run transformed, written next to the export
+const REDACTION_REPORT = 'redaction-report.json';
+
+// A rule as { action, patterns, replacement }, with its patterns compiled
+function parseRule(rule, where) {
+  const { action, patterns = [], replacement = DEFAULT_REPLACEMENT } = typeof rule === 'string' ? { action: rule } : rule || {};
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid redaction rule for ${where}: ${JSON.stringify(rule)} (use one of ${ACTIONS.join(', ')})`);
+  }
+  if (action === 'redact' && patterns.length === 0) {
+    throw new Error(`The redact rule for ${where} needs patterns`);
+  }
+  return {
+    action,
+    replacement,
+    patterns: patterns.map(pattern => {
+      try {
+        return new RegExp(NAMED_PATTERNS[pattern] || pattern, 'g');
+      } catch (error) {
+        throw new Error(`Invalid pattern for ${where}: ${error.message}`);
+      }
+    })
+  };
+}
+
+// Check a policy and compile its rules
+function parsePolicy(policy) {
+  const objectTypes = {};
+  for (const [objectType, typePolicy] of Object.entries(policy.objectTypes || {})) {
+    objectTypes[objectType] = {
+      default: typePolicy.default ? parseRule(typePolicy.default, `${objectType} default`) : null,
+      properties: Object.fromEntries(Object.entries(typePolicy.properties || {}).map(([name, rule]) =>
+        [name, parseRule(rule, `${objectType}.${name}`)]))
+    };
+  }
+  return { default: parseRule(policy.default || 'keep', 'the default'), objectTypes };
+}
+
+// Read a policy file; read synchronously since a sync is set up with it
+function loadRedactionPolicy(filePath) {
+  let content;
+  try {
+    content = fsSync.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read the redaction policy ${filePath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in the redaction policy ${filePath}: ${error.message}`);
+  }
+}
+
+// Apply a policy to records. Counts what each rule changed for the report until reset.
+function createRedactor(policy, { salt, policyFile = null } = {}) {
+  const { default: policyDefault, objectTypes } = parsePolicy(policy);
+  const anyType = objectTypes['*'] || { default: null, properties: {} };
+  const usesHash = [policyDefault, ...Object.values(objectTypes).flatMap(type => [type.default, ...Object.values(type.properties)])]
+    .some(rule => rule && rule.action === 'hash');
+  if (usesHash && !salt) {
+    throw new Error('REDACTION_SALT must be set for the hash rules of the redaction policy');
+  }
+
+  let counts = new Map();
+
+  function ruleFor(objectType, name) {
+    const type = objectTypes[objectType] || { default: null, properties: {} };
+    return type.properties[name] || anyType.properties[name] || type.default || anyType.default || policyDefault;
+  }
+
+  // The value a rule turns a value into, and the regular expression matches it replaced
+  function transform(rule, value) {
+    if (rule.action === 'hash') {
+      return { value: crypto.createHmac('sha256', salt).update(String(value)).digest('hex'), matches: 0 };
+    }
+    let matches = 0;
+    let text = String(value);
+    for (const pattern of rule.patterns) {
+      text = text.replace(pattern, () => {
+        matches++;
+        return rule.replacement;
+      });
+    }
+    return { value: matches > 0 ? text : value, matches };
+  }
+
+  function count(objectType, name, action, matches) {
+    const key = `${objectType}\u0000${name}`;
+    if (!counts.has(key)) {
+      counts.set(key, { objectType, property: name, action, values: 0, ...(action === 'redact' ? { matches: 0 } : {}) });
+    }
+    const entry = counts.get(key);
+    entry.values++;
+    if (action === 'redact') {
+      entry.matches += matches;
+    }
+  }
+
+  // A property value under the policy, or undefined when it is dropped
+  function redactValue(objectType, name, value, { report = true } = {}) {
+    const rule = ruleFor(objectType, name);
+    if (rule.action === 'keep') {
+      return value;
+    }
+    if (rule.action === 'drop') {
+      if (report) {
+        count(objectType, name, 'drop', 0);
+      }
+      return undefined;
+    }
+    if (value === null || value === undefined || value === '') {
+      return value;
+    }
+    const result = transform(rule, value);
+    if (report && (rule.action === 'hash' || result.matches > 0)) {
+      count(objectType, name, rule.action, result.matches);
+    }
+    return result.value;
+  }
+
+  function redactProperties(objectType, properties) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(properties)) {
+      const newValue = redactValue(objectType, name, value);
+      if (newValue !== undefined) {
+        redacted[name] = newValue;
+      }
+    }
+    return redacted;
+  }
+
+  // A copy of a record with its properties redacted
+  function redactRecord(objectType, record) {
+    return record && record.properties ? { ...record, properties: redactProperties(objectType, record.properties) } : record;
+  }
+
+  return {
+    redactRecord,
+
+    redactRecords(objectType, records) {
+      return records.map(record => redactRecord(objectType, record));
+    },
+
+    // A copy of a normalized property history (lib/history) with each property's values redacted
+    redactHistory(objectType, history) {
+      const properties = {};
+      for (const [name, changes] of Object.entries(history.properties)) {
+        if (ruleFor(objectType, name).action === 'drop') {
+          count(objectType, name, 'drop', 0);
+          continue;
+        }
+        properties[name] = changes.map(change => ({ ...change, value: redactValue(objectType, name, change.value) }));
+      }
+      return { ...history, properties };
+    },
+
+    // Engagement content items (lib/content) the policy allows. Bodies are written as the policy
+    // transforms their property; recordings, transcripts and attachments can't be redacted, so
+    // they are only downloaded when the property pointing to them is kept. Not counted, the
+    // engagement's own properties are.
+    redactContent(type, items) {
+      return items.flatMap(item => {
+        const rule = ruleFor(type, item.property);
+        if (rule.action === 'keep') {
+          return [item];
+        }
+        if (item.content === undefined || rule.action === 'drop') {
+          return [];
+        }
+        return [{ ...item, content: redactValue(type, item.property, item.content, { report: false }) }];
+      });
+    },
+
+    // The fields transformed since the last reset
+    report() {
+      return {
+        policy: policyFile,
+        generatedAt: new Date().toISOString(),
+        fields: [...counts.values()].sort((a, b) => a.objectType.localeCompare(b.objectType) || a.property.localeCompare(b.property))
+      };
+    },
+
+    reset() {
+      counts = new Map();
+    }
+  };
+}
+
+// Output backend (lib/outputs) that redacts records and engagements before the wrapped one writes them.
+// A records writer opened with { redacted: true } is given records that went through the redactor already.
+function withRedaction(output, redactor) {
+  return {
+    ...output,
+
+    async openRecords(objectType, options = {}) {
+      const writer = await output.openRecords(objectType, options);
+      if (options.redacted) {
+        return writer;
+      }
+      return {
+        ...writer,
+        write: records => writer.write(redactor.redactRecords(objectType, records))
+      };
+    },
+
+    writeEngagements(type, engagements) {
+      return output.writeEngagements(type, redactor.redactRecords(type, engagements));
+    }
+  };
+}
+
+module.exports = {
+  REDACTION_REPORT,
+  loadRedactionPolicy,
+  createRedactor,
+  withRedaction
+};
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// IDs of the records in the export per object type, so the next sync can tell which ones are gone
+const RECORD_IDS_FILE = 'record-ids.json';
+
+// Semicolon-separated IDs of the records merged into a record
+const MERGED_IDS_PROPERTY = 'hs_merged_object_ids';
+
+function recordIdsPath(outputDir) {
+  return path.join(outputDir, RECORD_IDS_FILE);
+}
+
+// Load the saved record IDs: { objectType: [ids] }
+async function loadRecordIds(outputDir) {
+  try {
+    return JSON.parse(await fs.readFile(recordIdsPath(outputDir), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+// Save the record IDs of one object type, writing to a temp file first like the sync state
+async function saveRecordIds(outputDir, objectType, ids) {
+  const recordIds = await loadRecordIds(outputDir);
+  recordIds[objectType] = [...ids];
+  const filePath = recordIdsPath(outputDir);
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(recordIds));
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+// Note which IDs were merged into which surviving record
+function collectMergedIds(records, mergedInto) {
+  for (const record of records) {
+    const merged = (record.properties || {})[MERGED_IDS_PROPERTY];
+    if (!merged) {
+      continue;
+    }
+    for (const id of String(merged).split(';').map(value => value.trim()).filter(Boolean)) {
+      if (id !== String(record.id)) {
+        mergedInto.set(id, String(record.id));
+      }
+    }
+  }
+}
+
+// Records gone since the previous export: merged into a current record, or (when the current IDs
+// are the complete set) missing from it. Without previous IDs every merge is reported once.
+function findRemovedRecords({ previousIds, currentIds, complete, mergedInto }) {
+  const current = new Set(currentIds.map(String));
+  const removed = new Map();
+
+  for (const [id, survivorId] of mergedInto) {
+    if (!current.has(id) && (!previousIds || previousIds.has(id))) {
+      removed.set(id, { id, reason: 'merged', mergedInto: survivorId });
+    }
+  }
+  if (complete && previousIds) {
+    for (const id of previousIds) {
+      if (!current.has(id) && !removed.has(id)) {
+        removed.set(id, { id, reason: 'deleted' });
+      }
+    }
+  }
+  return [...removed.values()];
+}
+
+module.exports = {
+  MERGED_IDS_PROPERTY,
+  loadRecordIds,
+  saveRecordIds,
+  collectMergedIds,
+  findRemovedRecords
+};
@@ -0,0 +1,109 @@
+// Rate-limit aware wrapper for HubSpot API calls
+
+// Network failures worth retrying (error codes from Node's socket layer)
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Header lookup that doesn't depend on how the client cased the names
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// HTTP status of a failed call, or null for network errors
+function getStatus(error) {
+  return typeof error.code === 'number' ? error.code : null;
+}
+
+function isNetworkError(error) {
+  return RETRYABLE_NETWORK_CODES.includes(error.code) ||
+    (error.name === 'FetchError' && error.type === 'system');
+}
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// How long HubSpot asks us to wait after a 429, if it says
+function rateLimitDelay(error) {
+  const retryAfter = getHeader(error.headers, 'retry-after');
+  if (retryAfter && !isNaN(Number(retryAfter))) {
+    return Number(retryAfter) * 1000;
+  }
+
+  // X-HubSpot-RateLimit-* headers describe the current window
+  const remaining = getHeader(error.headers, 'x-hubspot-ratelimit-remaining');
+  const interval = getHeader(error.headers, 'x-hubspot-ratelimit-interval-milliseconds');
+  if (remaining !== undefined && Number(remaining) <= 0 && interval) {
+    return Number(interval);
+  }
+
+  const secondlyRemaining = getHeader(error.headers, 'x-hubspot-ratelimit-secondly-remaining');
+  if (secondlyRemaining !== undefined && Number(secondlyRemaining) <= 0) {
+    return 1000;
+  }
+
+  return null;
+}
+
+// Counters of a requester, for the run manifest and metrics
+function createRequestStats() {
+  return { requests: 0, retries: 0, rateLimited: 0, failed: 0 };
+}
+
+// Create a function that runs an API call, retrying 429s, 5xx and network errors.
+// beforeRequest is awaited before every attempt, e.g. to set a fresh access token; what it
+// returns is passed to onUnauthorized, which is awaited once per call on a 401.
+// Calls, retries and failures are counted in stats; retries are logged to logger.
+function createRequester({ maxRetries = 5, baseDelayMs = 500, maxDelayMs = 30000, beforeRequest, onUnauthorized, stats = createRequestStats(), logger = console } = {}) {
+  return async function request(apiCall, label = 'API request') {
+    let attempt = 0;
+    let refreshed = false;
+    stats.requests++;
+
+    while (true) {
+      let context;
+      try {
+        context = beforeRequest ? await beforeRequest() : undefined;
+        return await apiCall();
+      } catch (error) {
+        const status = getStatus(error);
+
+        if (status === 401 && onUnauthorized && !refreshed) {
+          logger.log(`Access token rejected during ${label}, refreshing...`);
+          await onUnauthorized(context);
+          refreshed = true;
+          continue;
+        }
+
+        const retryable = status === 429 || (status !== null && status >= 500) || isNetworkError(error);
+        if (!retryable || attempt >= maxRetries) {
+          stats.failed++;
+          throw error;
+        }
+
+        const delay = (status === 429 && rateLimitDelay(error)) || backoffDelay(attempt, baseDelayMs, maxDelayMs);
+        attempt++;
+        stats.retries++;
+        if (status === 429) {
+          stats.rateLimited++;
+        }
+        logger.warn(`${label} failed (${status || error.code || error.message}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRequestStats,
+  createRequester
+};
@@ -0,0 +1,100 @@
+// Cron-style schedules for the daemon: five fields (minute, hour, day of month, month, day of week)
+// of *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 0-30/10), in local time. Day of week
+// runs from 0 (Sunday) to 7 (Sunday again). As in cron, when both day fields are restricted a day
+// matching either one matches.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Shorthands for common schedules
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// The values a field allows, as a Set
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} in schedule: ${part}`);
+    }
+    const [, range, first, last, step] = match;
+    const start = range === '*' ? min : parseInt(first, 10);
+    // A single value with a step (5/15) runs from it to the end of the range
+    const end = range === '*' || (last === undefined && step) ? max : parseInt(last === undefined ? first : last, 10);
+    const increment = step ? parseInt(step, 10) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid ${name} in schedule: ${part} (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Parse a schedule. Returns { expression, matches(date), next(after) }; next is the first minute
+// after the given date that the schedule matches.
+function parseSchedule(expression) {
+  const fields = (ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid schedule: ${expression} (expected minute hour day-of-month month day-of-week)`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+  const anyDay = fields[2] === '*';
+  const anyWeekday = fields[4] === '*';
+
+  function matchesDay(date) {
+    const day = days.has(date.getDate());
+    const weekday = weekdays.has(date.getDay());
+    if (anyDay || anyWeekday) {
+      return day && weekday;
+    }
+    return day || weekday;
+  }
+
+  function matches(date) {
+    return minutes.has(date.getMinutes()) && hours.has(date.getHours()) &&
+      months.has(date.getMonth() + 1) && matchesDay(date);
+  }
+
+  function next(after = new Date()) {
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    // Skip whole days and hours that can't match, so a yearly schedule is found quickly
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (candidate.getTime() <= limit) {
+      if (!months.has(candidate.getMonth() + 1) || !matchesDay(candidate)) {
+        candidate.setDate(candidate.getDate() + 1);
+        candidate.setHours(0, 0, 0, 0);
+      } else if (!hours.has(candidate.getHours())) {
+        candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      } else if (!minutes.has(candidate.getMinutes())) {
+        candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      } else {
+        return candidate;
+      }
+    }
+    throw new Error(`Schedule ${expression} never matches`);
+  }
+
+  return { expression, matches, next };
+}
+
+module.exports = {
+  parseSchedule
+};
@@ -0,0 +1,84 @@
+// OAuth scopes the export needs and a comparison against the scopes a token was granted
+const { isCustomObjectType } = require('./object-types');
+
+// Scopes that allow reading each object type; any one of a list is enough
+const OBJECT_SCOPES = {
+  deals: ['crm.objects.deals.read'],
+  contacts: ['crm.objects.contacts.read'],
+  companies: ['crm.objects.companies.read'],
+  tickets: ['tickets'],
+  line_items: ['crm.objects.line_items.read', 'e-commerce'],
+  products: ['crm.objects.products.read', 'e-commerce'],
+  quotes: ['crm.objects.quotes.read'],
+  // Engagements are read with the contacts scope; email bodies also need sales-email-read
+  notes: ['crm.objects.contacts.read'],
+  calls: ['crm.objects.contacts.read'],
+  meetings: ['crm.objects.contacts.read'],
+  tasks: ['crm.objects.contacts.read'],
+  emails: ['crm.objects.contacts.read']
+};
+
+const CUSTOM_OBJECT_SCOPES = ['crm.objects.custom.read'];
+
+function objectScopes(objectType) {
+  return OBJECT_SCOPES[objectType] || (isCustomObjectType(objectType) ? CUSTOM_OBJECT_SCOPES : []);
+}
+
+// What the configured export reads and the scopes each part needs: one entry per scope
+// requirement, with the object type to probe when scopes can't be listed (Private Apps)
+function getScopeRequirements({ objectTypes, activityObjectTypes, activityTypes, downloadContent }) {
+  const requirements = [];
+  for (const objectType of objectTypes) {
+    requirements.push({ export: objectType, objectType, anyOf: objectScopes(objectType), impact: `no ${objectType} are exported` });
+
+    if (!activityObjectTypes.includes(objectType)) {
+      continue;
+    }
+    for (const type of activityTypes) {
+      const target = `${type} of ${objectType}`;
+      requirements.push({ export: target, objectType: type, anyOf: objectScopes(type), impact: `${target} are left empty` });
+      if (type === 'emails') {
+        requirements.push({ export: target, objectType: type, anyOf: ['sales-email-read'], impact: `${target} are left empty or have no content` });
+      }
+    }
+  }
+  // Attachments are downloaded through the Files API
+  if (downloadContent && objectTypes.some(objectType => activityObjectTypes.includes(objectType))) {
+    requirements.push({ export: 'attachments', objectType: null, anyOf: ['files'], impact: 'files attached to engagements fail to download' });
+  }
+  return requirements.filter(requirement => requirement.anyOf.length > 0);
+}
+
+// Requirements that aren't met, merged per export
+function collectProblems(requirements, isMet) {
+  const problems = new Map();
+  for (const requirement of requirements) {
+    if (isMet(requirement)) {
+      continue;
+    }
+    const missing = requirement.anyOf.join(' or ');
+    if (!problems.has(requirement.export)) {
+      problems.set(requirement.export, { export: requirement.export, missing: [missing], impact: requirement.impact });
+    } else if (!problems.get(requirement.export).missing.includes(missing)) {
+      problems.get(requirement.export).missing.push(missing);
+    }
+  }
+  return [...problems.values()];
+}
+
+// Exports left incomplete by the scopes a token was granted
+function findMissingScopes(requirements, grantedScopes) {
+  const granted = new Set(grantedScopes);
+  return collectProblems(requirements, requirement => requirement.anyOf.some(scope => granted.has(scope)));
+}
+
+// Exports left incomplete when reading these object types was denied
+function findDeniedObjectTypes(requirements, deniedTypes) {
+  return collectProblems(requirements, requirement => !deniedTypes.has(requirement.objectType));
+}
+
+module.exports = {
+  getScopeRequirements,
+  findMissingScopes,
+  findDeniedObjectTypes
+};
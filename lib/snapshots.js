@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Dated snapshots of the export, written by the daemon. Each run works in a staging directory
+// that starts as a copy of the latest snapshot (incremental runs merge into it) and is renamed to
+// snapshots/{YYYYMMDDTHHMMSSZ} once the run completed, after which the latest symlink is switched
+// to it. A run that fails or stops leaves the staging directory, with its checkpoint journal, for
+// the next run to resume; the snapshots are never written in place.
+const SNAPSHOTS_DIR = 'snapshots';
+const STAGING_NAME = '.in-progress';
+const LATEST_LINK = 'latest';
+
+const SNAPSHOT_NAME = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z(?:-\d+)?$/;
+
+function snapshotName(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+function snapshotDate(name) {
+  const [, year, month, day, hours, minutes, seconds] = name.match(SNAPSHOT_NAME);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+function stagingDir(rootDir) {
+  return path.join(rootDir, SNAPSHOTS_DIR, STAGING_NAME);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Name of the snapshot latest points to, or null before the first one
+async function readLatest(rootDir) {
+  try {
+    return path.basename(await fs.readlink(path.join(rootDir, LATEST_LINK)));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Snapshot names, oldest first
+async function listSnapshots(rootDir) {
+  try {
+    return (await fs.readdir(path.join(rootDir, SNAPSHOTS_DIR))).filter(name => SNAPSHOT_NAME.test(name)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Get the staging directory ready for a run: an interrupted run's is resumed, otherwise the latest
+// snapshot is copied into it. The copy is made under another name first, so a crash while copying
+// never leaves a partial staging directory.
+// Returns { dir, resumed, base }, base being the snapshot it started from.
+async function prepareStaging(rootDir) {
+  const dir = stagingDir(rootDir);
+  if (await exists(dir)) {
+    return { dir, resumed: true, base: null };
+  }
+
+  const copyDir = `${dir}.copy`;
+  await fs.rm(copyDir, { recursive: true, force: true });
+  const base = await readLatest(rootDir);
+  if (base) {
+    await fs.cp(path.join(rootDir, SNAPSHOTS_DIR, base), copyDir, { recursive: true });
+  } else {
+    await fs.mkdir(copyDir, { recursive: true });
+  }
+  await fs.rename(copyDir, dir);
+  return { dir, resumed: false, base };
+}
+
+// Turn the staging directory into the snapshot of a run started at date and point latest at it.
+// The symlink is replaced through a rename, so latest always points at a complete snapshot.
+// Returns the snapshot's name.
+async function promoteStaging(rootDir, date) {
+  let name = snapshotName(date);
+  for (let i = 1; await exists(path.join(rootDir, SNAPSHOTS_DIR, name)); i++) {
+    name = `${snapshotName(date)}-${i}`;
+  }
+  await fs.rename(stagingDir(rootDir), path.join(rootDir, SNAPSHOTS_DIR, name));
+
+  const tempLink = path.join(rootDir, `${LATEST_LINK}.${process.pid}.tmp`);
+  await fs.rm(tempLink, { force: true });
+  await fs.symlink(path.join(SNAPSHOTS_DIR, name), tempLink, 'dir');
+  await fs.rename(tempLink, path.join(rootDir, LATEST_LINK));
+  return name;
+}
+
+// ISO 8601 week of a date, e.g. 2024-W18
+function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - (thursday.getUTCDay() + 6) % 7);
+  const week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Snapshots a retention policy keeps: the newest of each of the last keepDaily days and keepWeekly
+// ISO weeks that have snapshots (UTC), and always the latest one
+function selectRetained(names, { keepDaily, keepWeekly, latest }) {
+  const keep = new Set(latest ? [latest] : []);
+  for (const [count, bucket] of [[keepDaily, date => date.toISOString().slice(0, 10)], [keepWeekly, isoWeek]]) {
+    const seen = new Set();
+    for (const name of [...names].sort().reverse()) {
+      const key = bucket(snapshotDate(name));
+      if (!seen.has(key) && seen.size < count) {
+        seen.add(key);
+        keep.add(name);
+      }
+    }
+  }
+  return keep;
+}
+
+// Delete the snapshots the retention policy doesn't keep. Returns their names.
+async function applyRetention(rootDir, { keepDaily, keepWeekly }) {
+  const names = await listSnapshots(rootDir);
+  const keep = selectRetained(names, { keepDaily, keepWeekly, latest: await readLatest(rootDir) });
+  const removed = names.filter(name => !keep.has(name));
+  for (const name of removed) {
+    await fs.rm(path.join(rootDir, SNAPSHOTS_DIR, name), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  LATEST_LINK,
+  stagingDir,
+  readLatest,
+  listSnapshots,
+  prepareStaging,
+  promoteStaging,
+  selectRetained,
+  applyRetention
+};
@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { loadSyncState } = require('./sync-state');
+const { RECORD_STATUS, loadCheckpoint } = require('./checkpoint');
+const { MANIFEST_FILE } = require('./storage/local');
+
+// Read the manifest of the last run, or null if there is none
+async function loadManifest(outputDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Summarize the sync state, an unfinished run's checkpoint and the last run's manifest
+async function getStatus(config) {
+  const syncState = await loadSyncState(config.stateFile);
+  const checkpoint = await loadCheckpoint(config.outputDir);
+  const manifest = await loadManifest(config.outputDir);
+
+  let interrupted = null;
+  if (checkpoint) {
+    interrupted = {
+      startedAt: new Date(checkpoint.startedAt).toISOString(),
+      objects: {}
+    };
+    for (const [objectType, progress] of Object.entries(checkpoint.objects)) {
+      const statuses = [...progress.status.values()];
+      interrupted.objects[objectType] = {
+        recordsFetched: progress.complete ? progress.ids.length : progress.fetched.length,
+        recordsComplete: progress.complete,
+        finished: statuses.filter(entry => entry.status !== RECORD_STATUS.FAILED).length,
+        failed: statuses.filter(entry => entry.status === RECORD_STATUS.FAILED).length
+      };
+    }
+  }
+
+  return {
+    outputDir: config.outputDir,
+    objectTypes: config.objectTypes.map(objectType => ({
+      objectType,
+      ...(syncState[objectType] || { lastRunAt: null })
+    })),
+    interrupted,
+    lastRun: manifest && {
+      status: manifest.status,
+      runStartedAt: manifest.runStartedAt,
+      finishedAt: manifest.finishedAt,
+      failedRecords: manifest.failedRecords,
+      files: manifest.files.length
+    }
+  };
+}
+
+module.exports = {
+  loadManifest,
+  getStatus
+};
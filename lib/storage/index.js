@@ -0,0 +1,22 @@
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Storage sinks selectable with STORAGE
+const STORAGE_TYPES = {
+  local: options => createLocalStorage({ rootDir: options.outputDir, logger: options.logger }),
+  s3: options => createS3Storage({ stagingDir: options.outputDir, ...options.s3, logger: options.logger })
+};
+
+// Create the storage sink exported files are written to
+function createStorage(type, options) {
+  const factory = STORAGE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown storage type: ${type} (use one of ${Object.keys(STORAGE_TYPES).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  createStorage
+};
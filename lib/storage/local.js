@@ -0,0 +1,151 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Size and SHA-256 of a file, read as a stream so large exports aren't loaded into memory
+async function describeFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+function describeBuffer(buffer) {
+  return { size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+}
+
+// Storage sink writing to a directory on the local filesystem. Files are named by their path
+// relative to rootDir. The manifest lists every file of the output: those written during the run,
+// and those earlier runs wrote that this one left as they were.
+function createLocalStorage({ rootDir, onFileWritten, logger = console }) {
+  const files = new Map();
+  const removed = new Set();
+
+  function localPath(filename) {
+    return path.join(rootDir, filename);
+  }
+
+  function recordFile(filename, description) {
+    const name = filename.split(path.sep).join('/');
+    files.set(name, { path: name, ...description });
+    removed.delete(name);
+    return name;
+  }
+
+  // Ensure output directory exists
+  async function ensureDirectoryExists(directory = '') {
+    try {
+      await fsPromises.mkdir(localPath(directory), { recursive: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  // Files listed by the previous run's manifest, or none
+  async function previousFiles() {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fsPromises.readFile(localPath(MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return [];
+      }
+      throw error;
+    }
+    return Array.isArray(manifest.files) ? manifest.files : [];
+  }
+
+  // Files written and removed this run
+  function listFiles() {
+    return {
+      files: [...files.values()].sort((a, b) => a.path.localeCompare(b.path)),
+      removed: [...removed].sort()
+    };
+  }
+
+  return {
+    type: 'local',
+    localPath,
+    ensureDirectoryExists,
+
+    async open() {
+      await ensureDirectoryExists();
+    },
+
+    // Save data to JSON file
+    async saveToFile(data, filename) {
+      const filePath = localPath(filename);
+      const content = Buffer.from(JSON.stringify(data, null, 2));
+      await ensureDirectoryExists(path.dirname(filename));
+      await fsPromises.writeFile(filePath, content);
+      const name = recordFile(filename, describeBuffer(content));
+      if (onFileWritten) {
+        await onFileWritten(name, content);
+      }
+      logger.log(`Data saved to ${filePath}`);
+    },
+
+    // Read a JSON file written by a previous run, or null if there is none
+    async readFromFile(filename) {
+      try {
+        const content = await fsPromises.readFile(localPath(filename), 'utf8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async removeFile(filename) {
+      await fsPromises.rm(localPath(filename), { force: true });
+      const name = filename.split(path.sep).join('/');
+      files.delete(name);
+      removed.add(name);
+    },
+
+    // Register a file an output backend wrote itself, e.g. a streamed NDJSON file or a database.
+    // sourcePath defaults to the file's place under rootDir.
+    async publishFile(filename, sourcePath = localPath(filename)) {
+      const name = recordFile(filename, await describeFile(sourcePath));
+      if (onFileWritten) {
+        await onFileWritten(name, sourcePath);
+      }
+    },
+
+    listFiles,
+
+    // manifest.json describes the run and the files of the output; it isn't listed itself.
+    // Entries of the previous manifest are kept for the files this run didn't write or remove, so
+    // an incremental run doesn't drop the checksums of everything it left alone.
+    async writeManifest(manifest) {
+      const written = listFiles();
+      const kept = (await previousFiles()).filter(file => !files.has(file.path) && !removed.has(file.path));
+      const content = {
+        storage: { type: 'local', path: path.resolve(rootDir) },
+        ...manifest,
+        files: [...written.files, ...kept].sort((a, b) => a.path.localeCompare(b.path)),
+        removed: written.removed
+      };
+      await ensureDirectoryExists();
+      await fsPromises.writeFile(localPath(MANIFEST_FILE), JSON.stringify(content, null, 2));
+      logger.log(`Manifest saved to ${localPath(MANIFEST_FILE)}`);
+      return content;
+    }
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  describeFile,
+  createLocalStorage
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_FILE, createLocalStorage } = require('./local');
+
+// S3 requires parts of at least 5 MB except for the last one
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Date-partitioned prefix of one run, e.g. hubspot-sync/2024/05/01/run-20240501T120000Z
+function runPrefix(prefix, runStartedAt) {
+  const iso = new Date(runStartedAt).toISOString();
+  const [year, month, day] = iso.slice(0, 10).split('-');
+  const runId = iso.replace(/[-:]/g, '').replace(/\.\d+/, '');
+  return [prefix, year, month, day, `run-${runId}`].filter(Boolean).join('/');
+}
+
+// Storage sink uploading to an S3-compatible bucket (AWS S3, MinIO, ...). Files are still written
+// to stagingDir first, which keeps the working copy incremental runs merge into; each file is
+// then uploaded under the run's date-partitioned prefix. Large files use multipart uploads.
+function createS3Storage({ stagingDir, bucket, prefix, endpoint, region, forcePathStyle, partSize, logger = console }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE=s3');
+  }
+
+  // Loaded lazily so the AWS SDK is only required when this sink is used
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle
+  });
+  let keyPrefix = null;
+  const uploaded = new Set();
+
+  function objectKey(name) {
+    return `${keyPrefix}/${name}`;
+  }
+
+  // Buffers go up in one request, files are streamed in parts
+  async function upload(name, source) {
+    const key = objectKey(name);
+    const body = Buffer.isBuffer(source) ? source : fs.createReadStream(source);
+    await new Upload({
+      client,
+      params: { Bucket: bucket, Key: key, Body: body },
+      partSize: Math.max(partSize, MIN_PART_SIZE),
+      queueSize: 4,
+      leavePartsOnError: false
+    }).done();
+    uploaded.add(name);
+    logger.log(`Uploaded s3://${bucket}/${key}`);
+  }
+
+  const local = createLocalStorage({ rootDir: stagingDir, onFileWritten: upload, logger });
+
+  return {
+    ...local,
+    type: 's3',
+
+    // A resumed run keeps its start time, so it uploads into the same prefix
+    async open({ runStartedAt }) {
+      keyPrefix = runPrefix(prefix, runStartedAt);
+      await local.open();
+      logger.log(`Uploading to s3://${bucket}/${keyPrefix}/`);
+    },
+
+    // Each run has its own prefix, so only an object uploaded earlier in this run needs deleting
+    async removeFile(filename) {
+      await local.removeFile(filename);
+      const name = filename.split(path.sep).join('/');
+      if (uploaded.has(name)) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(name) }));
+        uploaded.delete(name);
+      }
+    },
+
+    // Uploaded last, by every run that started, with the run's status: a prefix holds the run's
+    // complete output once its manifest says "completed". A failed or incomplete run's manifest is
+    // replaced when the run is resumed into the same prefix.
+    async writeManifest(manifest) {
+      const content = await local.writeManifest({
+        ...manifest,
+        storage: { type: 's3', bucket, prefix: keyPrefix, endpoint: endpoint || null }
+      });
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(MANIFEST_FILE),
+        Body: JSON.stringify(content, null, 2),
+        ContentType: 'application/json'
+      }));
+      logger.log(`Manifest uploaded to s3://${bucket}/${objectKey(MANIFEST_FILE)}`);
+      return content;
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
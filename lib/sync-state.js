@@ -0,0 +1,29 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Load the persisted sync state (high-water marks per object type)
+async function loadSyncState(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // No previous run, caller falls back to a full sync
+      return {};
+    }
+    throw error;
+  }
+}
+
+// Save the sync state, writing to a temp file first so a crash never leaves it half-written
+async function saveSyncState(filePath, state) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+  loadSyncState,
+  saveSyncState
+};
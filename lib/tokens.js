@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('@hubspot/api-client');
+
+// Only the owner may read or write the token file
+const TOKEN_FILE_MODE = 0o600;
+
+// Encrypted token files: AES-256-GCM with a key derived from the passphrase by scrypt
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+}
+
+function encrypt(tokens, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+  return {
+    encrypted: true,
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(envelope, passphrase) {
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')),
+    Buffer.from(envelope.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error('Could not decrypt the token file, check TOKEN_PASSPHRASE');
+  }
+}
+
+// Tokens as returned by the OAuth token endpoint
+function fromTokenResponse(result) {
+  return {
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken,
+    expiresAt: Date.now() + (result.expiresIn * 1000)
+  };
+}
+
+// Token manager shared by the OAuth flow and the sync. OAuth tokens live in tokenFile (mode 0600,
+// or encrypted when a passphrase is given) and are refreshed refreshMarginMs before they expire.
+// Refreshes are serialized, so parallel requests never refresh twice. A Private App token
+// (accessToken without a refresh token) is used as is. basePath points the OAuth endpoints at
+// another server.
+function createTokenManager({ clientId, clientSecret, tokenFile: initialTokenFile, passphrase, refreshMarginMs = 5 * 60 * 1000, envTokens = {}, basePath, logger = console }) {
+  let tokenFile = initialTokenFile;
+  const oauthClient = new Client({ basePath });
+  let tokens = null;
+  let pendingRefresh = null;
+
+  async function readTokenFile() {
+    let content;
+    try {
+      content = await fs.readFile(tokenFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const stats = await fs.stat(tokenFile);
+    if (stats.mode & 0o077) {
+      logger.warn(`${tokenFile} was readable by other users, restricting it to the owner`);
+      await fs.chmod(tokenFile, TOKEN_FILE_MODE);
+    }
+
+    const stored = JSON.parse(content);
+    if (stored.encrypted) {
+      if (!passphrase) {
+        throw new Error(`${tokenFile} is encrypted, set TOKEN_PASSPHRASE to read it`);
+      }
+      return { tokens: decrypt(stored, passphrase), encrypted: true };
+    }
+    return { tokens: stored, encrypted: false };
+  }
+
+  // Write to a temp file first so a crash never leaves the tokens half-written
+  async function save(newTokens) {
+    tokens = newTokens;
+    const content = passphrase ? encrypt(newTokens, passphrase) : newTokens;
+    await fs.mkdir(path.dirname(tokenFile), { recursive: true, mode: 0o700 });
+    const tempPath = `${tokenFile}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(content, null, 2), { mode: TOKEN_FILE_MODE });
+    await fs.chmod(tempPath, TOKEN_FILE_MODE);
+    await fs.rename(tempPath, tokenFile);
+  }
+
+  async function load() {
+    const stored = await readTokenFile();
+    if (stored) {
+      tokens = stored.tokens;
+      if (passphrase && !stored.encrypted) {
+        await save(tokens);
+        logger.log(`Encrypted ${tokenFile} with TOKEN_PASSPHRASE`);
+      }
+      return tokens;
+    }
+
+    // Tokens from .env (older setups and Private Apps); OAuth tokens move to the token file
+    if (envTokens.accessToken || envTokens.refreshToken) {
+      tokens = {
+        accessToken: envTokens.accessToken || null,
+        refreshToken: envTokens.refreshToken || null,
+        expiresAt: envTokens.expiresAt || null
+      };
+      if (tokens.refreshToken) {
+        await save(tokens);
+        logger.log(`Moved OAuth tokens from .env to ${tokenFile}, they can be removed from .env`);
+      }
+    }
+    return tokens;
+  }
+
+  async function requestRefresh() {
+    logger.log('Refreshing access token...');
+    const result = await oauthClient.oauth.tokensApi.createToken(
+      'refresh_token',
+      undefined,
+      undefined,
+      clientId,
+      clientSecret,
+      tokens.refreshToken
+    );
+    // Keep the portal ID, and the current refresh token if the response doesn't rotate it
+    await save({ ...tokens, ...fromTokenResponse(result), refreshToken: result.refreshToken || tokens.refreshToken });
+    logger.log('Token refreshed successfully');
+    return tokens.accessToken;
+  }
+
+  function canRefresh() {
+    return Boolean(tokens && tokens.refreshToken && clientId && clientSecret);
+  }
+
+  // Refresh the access token; callers that arrive while a refresh is running share it.
+  // With rejectedToken (e.g. after a 401), nothing happens if another caller already replaced it.
+  function refresh(rejectedToken) {
+    if (pendingRefresh) {
+      return pendingRefresh;
+    }
+    if (rejectedToken && tokens && tokens.accessToken !== rejectedToken) {
+      return Promise.resolve(tokens.accessToken);
+    }
+    if (!canRefresh()) {
+      return Promise.reject(new Error('The access token expired and there is no refresh token, run the OAuth flow again'));
+    }
+    pendingRefresh = requestRefresh().finally(() => {
+      pendingRefresh = null;
+    });
+    return pendingRefresh;
+  }
+
+  function expiresSoon() {
+    return Boolean(tokens && tokens.expiresAt && tokens.expiresAt - refreshMarginMs <= Date.now());
+  }
+
+  // A valid access token, refreshed first when it is about to expire
+  async function getAccessToken() {
+    if (pendingRefresh) {
+      return pendingRefresh;
+    }
+    if (expiresSoon() && canRefresh()) {
+      return refresh();
+    }
+    return tokens ? tokens.accessToken : null;
+  }
+
+  return {
+    load,
+    canRefresh,
+    refresh,
+    expiresSoon,
+
+    hasAccessToken() {
+      return Boolean(tokens && tokens.accessToken);
+    },
+
+    getAccessToken,
+
+    tokenFile() {
+      return tokenFile;
+    },
+
+    // What HubSpot knows about the current access token: portal, user, app and granted scopes
+    async getTokenInfo() {
+      const accessToken = await getAccessToken();
+      if (!accessToken) {
+        return null;
+      }
+      return oauthClient.oauth.accessTokensApi.getAccessToken(accessToken);
+    },
+
+    // Exchange the code from the OAuth callback for tokens and store them along with the ID of
+    // the portal they belong to. tokenFileFor(portalId) can pick the file, e.g. one per portal.
+    async exchangeCode(code, redirectUri, tokenFileFor) {
+      const result = await oauthClient.oauth.tokensApi.createToken(
+        'authorization_code',
+        code,
+        redirectUri,
+        clientId,
+        clientSecret
+      );
+      const info = await oauthClient.oauth.accessTokensApi.getAccessToken(result.accessToken);
+      if (tokenFileFor) {
+        tokenFile = tokenFileFor(info.hubId);
+      }
+      await save({ ...fromTokenResponse(result), portalId: info.hubId });
+      return tokens;
+    }
+  };
+}
+
+// Token manager for the settings loaded by lib/config
+function createTokenManagerFromConfig(config, { logger } = {}) {
+  return createTokenManager({
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    tokenFile: config.tokenFile,
+    passphrase: config.tokenPassphrase,
+    refreshMarginMs: config.tokenRefreshMarginMs,
+    basePath: config.apiBaseUrl,
+    logger,
+    envTokens: {
+      accessToken: config.accessToken,
+      refreshToken: config.refreshToken,
+      expiresAt: config.tokenExpiresAt
+    }
+  });
+}
+
+// Token manager for tokens the embedding application manages itself: provider is an async
+// function returning the access token to use, or an object with getAccessToken() and optionally
+// refresh(rejectedToken), called when HubSpot rejects a token. Nothing is stored.
+function createProvidedTokenManager(provider, { basePath } = {}) {
+  const { getAccessToken, refresh } = typeof provider === 'function' ? { getAccessToken: provider } : provider;
+  if (typeof getAccessToken !== 'function') {
+    throw new Error('The token provider must be a function or have a getAccessToken() method');
+  }
+  const oauthClient = new Client({ basePath });
+
+  return {
+    async load() {},
+
+    canRefresh() {
+      return typeof refresh === 'function';
+    },
+
+    async refresh(rejectedToken) {
+      return refresh.call(provider, rejectedToken);
+    },
+
+    expiresSoon() {
+      return false;
+    },
+
+    hasAccessToken() {
+      return true;
+    },
+
+    async getAccessToken() {
+      return getAccessToken.call(provider);
+    },
+
+    tokenFile() {
+      return null;
+    },
+
+    async getTokenInfo() {
+      return oauthClient.oauth.accessTokensApi.getAccessToken(await getAccessToken.call(provider));
+    }
+  };
+}
+
+module.exports = {
+  createTokenManager,
+  createTokenManagerFromConfig,
+  createProvidedTokenManager
+};
@@ -0,0 +1,169 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { describeFile } = require('./storage/local');
+const { loadManifest } = require('./status');
+const { activitiesDir, activitiesFile, engagementsDir } = require('./outputs/json');
+
+// Check the files listed in the last run's manifest against the output directory:
+// each must exist with the recorded size and SHA-256
+async function verifyManifest(outputDir) {
+  const manifest = await loadManifest(outputDir);
+  if (!manifest) {
+    return { manifest: null, checked: 0, problems: [{ path: 'manifest.json', problem: 'missing, run a sync first' }] };
+  }
+
+  const problems = [];
+  for (const file of manifest.files) {
+    const filePath = path.join(outputDir, file.path);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      problems.push({ path: file.path, problem: 'missing' });
+      continue;
+    }
+
+    const actual = await describeFile(filePath);
+    if (actual.size !== file.size) {
+      problems.push({ path: file.path, problem: `size ${actual.size}, expected ${file.size}` });
+    } else if (actual.sha256 !== file.sha256) {
+      problems.push({ path: file.path, problem: 'checksum mismatch' });
+    }
+  }
+
+  return { manifest, checked: manifest.files.length, problems };
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Records of an object type in a JSON export, or null without {objectType}.json
+async function readRecords(outputDir, objectType) {
+  return readJson(path.join(outputDir, `${objectType}.json`));
+}
+
+// A record's activities file, or null if there is none
+async function readActivities(outputDir, objectType, id) {
+  return readJson(path.join(outputDir, activitiesFile(objectType, id)));
+}
+
+// IDs of the JSON files in a directory, e.g. the records that have an activities file
+async function listFileIds(directory) {
+  try {
+    const names = await fs.readdir(directory);
+    return names.filter(name => name.endsWith('.json')).map(name => path.basename(name, '.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Compare each activity type's associations with the engagements stored for them. A difference
+// the file explains (a failed batch in error, IDs HubSpot didn't return in missing_ids) is a note,
+// anything else a problem. storedIds(type) lists the engagement store.
+async function checkActivityCounts(file, activities, storedIds, problems, notes) {
+  for (const [type, data] of Object.entries(activities.activity_types || {})) {
+    const associations = data.associations || [];
+    // Files from older versions hold their engagements inline instead
+    const inline = Array.isArray(data.objects);
+    const available = inline ? new Set(data.objects.map(object => String(object.id))) : await storedIds(type);
+    const unmatched = associations.filter(association => !available.has(String(association.toObjectId)));
+    if (unmatched.length === 0 && (!inline || data.objects.length === associations.length)) {
+      continue;
+    }
+
+    const counts = inline
+      ? `${type}: ${associations.length} associations, ${data.objects.length} objects`
+      : `${type}: ${unmatched.length} of ${associations.length} engagements not in ${engagementsDir(type)}`;
+    const explained = data.error || (data.missing_ids && data.missing_ids.length === unmatched.length);
+    if (explained) {
+      notes.push({ path: file, problem: `${counts} (${data.error ? `failed: ${data.error}` : `not returned by HubSpot: ${data.missing_ids.join(', ')}`})` });
+    } else {
+      problems.push({ path: file, problem: `${counts}, without a note of what is missing` });
+    }
+  }
+}
+
+// Check the content of a JSON export: each record of the types whose activities are exported has
+// an activities file (a no_activities marker when it has none), there are no activities files
+// without a record, and the engagements each file references are in the engagement store
+async function verifyExport(outputDir, { objectTypes, activityObjectTypes }) {
+  const problems = [];
+  const notes = [];
+  let records = 0;
+  let activityFiles = 0;
+
+  const engagementIds = new Map();
+  async function storedIds(type) {
+    if (!engagementIds.has(type)) {
+      engagementIds.set(type, new Set(await listFileIds(path.join(outputDir, engagementsDir(type)))));
+    }
+    return engagementIds.get(type);
+  }
+
+  for (const objectType of objectTypes.filter(type => activityObjectTypes.includes(type))) {
+    const exported = await readRecords(outputDir, objectType);
+    if (!exported) {
+      problems.push({ path: `${objectType}.json`, problem: 'missing' });
+      continue;
+    }
+    records += exported.length;
+
+    const recordIds = new Set(exported.map(record => String(record.id)));
+    const fileIds = new Set(await listFileIds(path.join(outputDir, activitiesDir(objectType))));
+    for (const id of recordIds) {
+      if (!fileIds.has(id)) {
+        problems.push({ path: activitiesFile(objectType, id), problem: `missing for ${objectType} ${id}, its activities failed or predate no-activities markers` });
+      }
+    }
+
+    for (const id of fileIds) {
+      const file = activitiesFile(objectType, id);
+      if (!recordIds.has(id)) {
+        problems.push({ path: file, problem: `no ${objectType} ${id} in ${objectType}.json` });
+        continue;
+      }
+      activityFiles++;
+      let activities;
+      try {
+        activities = await readActivities(outputDir, objectType, id);
+      } catch (error) {
+        problems.push({ path: file, problem: `unreadable: ${error.message}` });
+        continue;
+      }
+      if (activities.error) {
+        notes.push({ path: file, problem: `failed: ${activities.error}` });
+      }
+      await checkActivityCounts(file, activities, storedIds, problems, notes);
+    }
+  }
+
+  return { records, activityFiles, problems, notes };
+}
+
+// Pick up to size items at random
+function sample(items, size) {
+  const picked = [...items];
+  for (let i = picked.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [picked[i], picked[j]] = [picked[j], picked[i]];
+  }
+  return picked.slice(0, size);
+}
+
+module.exports = {
+  verifyManifest,
+  verifyExport,
+  readRecords,
+  readActivities,
+  sample
+};
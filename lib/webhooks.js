@@ -0,0 +1,208 @@
+// HubSpot webhook handling: v3 signature check, event normalization and a persistent change queue
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// HubSpot signs the request time too; older requests are rejected as possible replays
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+// Object type IDs used by the generic object.* subscriptions
+const OBJECT_TYPE_IDS = {
+  '0-1': 'contacts',
+  '0-2': 'companies',
+  '0-3': 'deals',
+  '0-5': 'tickets',
+  '0-7': 'products',
+  '0-8': 'line_items',
+  '0-14': 'quotes',
+  '0-27': 'tasks',
+  '0-46': 'notes',
+  '0-47': 'meetings',
+  '0-48': 'calls',
+  '0-49': 'emails'
+};
+
+// Object names in subscription types (deal.creation) and association types (DEAL_TO_CONTACT)
+const OBJECT_NAMES = {
+  contact: 'contacts',
+  company: 'companies',
+  deal: 'deals',
+  ticket: 'tickets',
+  product: 'products',
+  line_item: 'line_items',
+  quote: 'quotes',
+  task: 'tasks',
+  note: 'notes',
+  meeting: 'meetings',
+  call: 'calls',
+  email: 'emails'
+};
+
+// Characters HubSpot decodes in the URI before signing it
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+function decodeUri(uri) {
+  return uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, match => DECODED_URI_CHARACTERS[match.toUpperCase()]);
+}
+
+// Check the X-HubSpot-Signature-v3 header: a base64 HMAC-SHA256, keyed with the app's client
+// secret, of method + URI + body + timestamp. Returns the reason a request is rejected, or null.
+function checkSignature({ secret, method, uri, body, timestamp, signature, now = Date.now() }) {
+  if (!signature || !timestamp) {
+    return 'missing X-HubSpot-Signature-v3 or X-HubSpot-Request-Timestamp header';
+  }
+  // A timestamp that isn't a number would compare as NaN and pass the age check
+  if (!Number.isFinite(Number(timestamp))) {
+    return 'request timestamp is not a number';
+  }
+  if (Math.abs(now - Number(timestamp)) > MAX_SIGNATURE_AGE_MS) {
+    return 'request timestamp is too old';
+  }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${method}${decodeUri(uri)}${body}${timestamp}`)
+    .digest();
+  const given = Buffer.from(signature, 'base64');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'signature does not match';
+  }
+  return null;
+}
+
+// Object type of a generic objectTypeId or a legacy object name; custom objects keep their ID
+function toObjectType(objectTypeId, name) {
+  if (objectTypeId) {
+    return OBJECT_TYPE_IDS[objectTypeId] || objectTypeId;
+  }
+  return OBJECT_NAMES[String(name).toLowerCase()] || null;
+}
+
+// Turn webhook events into changes to apply: { action: 'upsert' | 'delete', objectType, objectId }.
+// An association change refreshes both ends; a merge refreshes the surviving record and deletes
+// the others.
+function toChanges(event) {
+  const [subject, eventType] = event.subscriptionType.split('.');
+  const occurredAt = event.occurredAt;
+  const base = { eventId: event.eventId, occurredAt };
+
+  if (eventType === 'associationChange') {
+    const [fromName, toName] = String(event.associationType || '').split('_TO_');
+    return [
+      { ...base, action: 'upsert', objectType: toObjectType(event.fromObjectTypeId, fromName), objectId: event.fromObjectId },
+      { ...base, action: 'upsert', objectType: toObjectType(event.toObjectTypeId, toName), objectId: event.toObjectId }
+    ];
+  }
+
+  const objectType = toObjectType(event.objectTypeId, subject === 'object' ? null : subject);
+  if (eventType === 'deletion') {
+    return [{ ...base, action: 'delete', objectType, objectId: event.objectId }];
+  }
+  if (eventType === 'merge') {
+    const survivorId = event.newObjectId || event.primaryObjectId || event.objectId;
+    return [
+      { ...base, action: 'upsert', objectType, objectId: survivorId },
+      ...(event.mergedObjectIds || [])
+        .filter(id => String(id) !== String(survivorId))
+        .map(id => ({ ...base, action: 'delete', objectType, objectId: id, mergedInto: String(survivorId) }))
+    ];
+  }
+  // creation, propertyChange, restore and anything new
+  return [{ ...base, action: 'upsert', objectType, objectId: event.objectId }];
+}
+
+function normalizeEvents(events) {
+  return events
+    .flatMap(toChanges)
+    .filter(change => change.objectType && change.objectId)
+    .map(change => ({ ...change, objectId: String(change.objectId) }));
+}
+
+// Changes waiting to be applied, kept in a file so a restart doesn't lose them. Only the latest
+// change per record is kept, e.g. a deletion followed by a restore becomes an upsert.
+function createChangeQueue(filePath) {
+  const changes = new Map();
+  let writes = Promise.resolve();
+
+  function key(change) {
+    return `${change.objectType}:${change.objectId}`;
+  }
+
+  // Saves are serialized so an older snapshot never overwrites a newer one
+  function save() {
+    const content = JSON.stringify([...changes.values()]);
+    writes = writes.then(async () => {
+      await fs.writeFile(`${filePath}.tmp`, content);
+      await fs.rename(`${filePath}.tmp`, filePath);
+    });
+    return writes;
+  }
+
+  return {
+    async load() {
+      try {
+        for (const change of JSON.parse(await fs.readFile(filePath, 'utf8'))) {
+          changes.set(key(change), change);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      return changes.size;
+    },
+
+    async add(newChanges) {
+      for (const change of newChanges) {
+        const existing = changes.get(key(change));
+        if (!existing || !existing.occurredAt || !change.occurredAt || change.occurredAt >= existing.occurredAt) {
+          changes.set(key(change), change);
+        }
+      }
+      await save();
+    },
+
+    size() {
+      return changes.size;
+    },
+
+    peek() {
+      return [...changes.values()];
+    },
+
+    // Drop applied changes, unless a newer change for the record arrived meanwhile
+    async remove(appliedChanges) {
+      for (const change of appliedChanges) {
+        if (changes.get(key(change)) === change) {
+          changes.delete(key(change));
+        }
+      }
+      await save();
+    },
+
+    // Keep failed changes for another attempt, dropping those that failed maxAttempts times.
+    // Returns the dropped changes.
+    async retry(failedChanges, maxAttempts) {
+      const dropped = [];
+      for (const change of failedChanges) {
+        if (changes.get(key(change)) !== change) {
+          continue;
+        }
+        change.attempts = (change.attempts || 0) + 1;
+        if (change.attempts >= maxAttempts) {
+          changes.delete(key(change));
+          dropped.push(change);
+        }
+      }
+      await save();
+      return dropped;
+    }
+  };
+}
+
+module.exports = {
+  checkSignature,
+  normalizeEvents,
+  createChangeQueue
+};
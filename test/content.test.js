@@ -0,0 +1,70 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { listContent, downloadFile } = require('../lib/content');
+
+const BODY = Buffer.from('0123456789');
+
+let server;
+let url;
+let dir;
+let ranges;
+
+beforeEach(async () => {
+  ranges = [];
+  // Serves BODY, honouring Range requests as a file server does
+  server = http.createServer((req, res) => {
+    ranges.push(req.headers.range || null);
+    const start = req.headers.range ? parseInt(req.headers.range.slice('bytes='.length), 10) : 0;
+    if (start >= BODY.length) {
+      res.writeHead(416, { 'content-range': `bytes */${BODY.length}` });
+      return res.end();
+    }
+    res.writeHead(start > 0 ? 206 : 200, { 'content-length': BODY.length - start });
+    res.end(BODY.subarray(start));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/recording.mp3`;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hubspot-sync-content-'));
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('resumes a download from its part file', async () => {
+  const file = path.join(dir, 'recording.mp3');
+  await fs.writeFile(`${file}.part`, BODY.subarray(0, 4));
+
+  assert.deepStrictEqual(await downloadFile(url, file), { size: 10, written: true, resumed: true });
+  assert.deepStrictEqual(await fs.readFile(file), BODY);
+  assert.deepStrictEqual(ranges, ['bytes=4-']);
+});
+
+test('keeps a part file that already holds the whole download', async () => {
+  const file = path.join(dir, 'recording.mp3');
+  await fs.writeFile(`${file}.part`, BODY);
+
+  assert.deepStrictEqual(await downloadFile(url, file), { size: 10, written: true, resumed: true });
+  assert.deepStrictEqual(await fs.readFile(file), BODY);
+  await assert.rejects(fs.access(`${file}.part`));
+});
+
+test('downloads again when the part file is longer than the download', async () => {
+  const file = path.join(dir, 'recording.mp3');
+  await fs.writeFile(`${file}.part`, Buffer.from('something else entirely'));
+
+  assert.deepStrictEqual(await downloadFile(url, file), { size: 10, written: true, resumed: false });
+  assert.deepStrictEqual(await fs.readFile(file), BODY);
+  assert.deepStrictEqual(ranges, ['bytes=23-', null]);
+});
+
+test('lists a recording whose URL doesn\'t parse, for its download to fail on its own', () => {
+  const items = listContent('calls', { id: '1', properties: { hs_call_recording_url: 'http://[not-a-host/call', hs_attachment_ids: '7' } });
+
+  assert.deepStrictEqual(items.map(item => [item.kind, item.fileName]), [['recording', 'recording.mp3'], ['attachment', undefined]]);
+});
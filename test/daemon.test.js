@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { runOnce } = require('../hubspot-daemon');
+const { loadConfig } = require('../lib/config');
+const { acquireLock } = require('../lib/lock');
+const { parseSchedule } = require('../lib/schedule');
+const { selectRetained } = require('../lib/snapshots');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+let env;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal({ deals: 20, notesPerDeal: 1 }));
+});
+
+afterEach(async () => {
+  await env.cleanup();
+});
+
+test('finds the next time a schedule matches', () => {
+  // Local time, as cron has it
+  const from = new Date(2024, 4, 1, 12, 34, 56);
+  assert.deepStrictEqual(parseSchedule('0 * * * *').next(from), new Date(2024, 4, 1, 13, 0));
+  assert.deepStrictEqual(parseSchedule('*/15 * * * *').next(from), new Date(2024, 4, 1, 12, 45));
+  assert.deepStrictEqual(parseSchedule('30 2 * * 1-5').next(from), new Date(2024, 4, 2, 2, 30));
+  assert.deepStrictEqual(parseSchedule('@weekly').next(from), new Date(2024, 4, 5, 0, 0));
+  assert.throws(() => parseSchedule('60 * * * *'), /Invalid minute/);
+  assert.throws(() => parseSchedule('0 0 * *'), /Invalid schedule/);
+});
+
+test('keeps the last snapshot of each recent day and week', () => {
+  const names = [
+    '20240501T010000Z', '20240501T130000Z', '20240502T010000Z', '20240503T010000Z',
+    '20240420T010000Z', '20240410T010000Z', '20240301T010000Z'
+  ];
+  const kept = selectRetained(names, { keepDaily: 2, keepWeekly: 3, latest: '20240503T010000Z' });
+  // Days 05-03 and 05-02; weeks 2024-W18 (05-03), W16 (04-20) and W15 (04-10)
+  assert.deepStrictEqual([...kept].sort(), ['20240410T010000Z', '20240420T010000Z', '20240502T010000Z', '20240503T010000Z']);
+});
+
+test('writes each completed run into a new snapshot and points latest at it', async () => {
+  const settings = env.settings({ OUTPUT_DIR: path.join(env.outputDir, 'daemon') });
+  const baseConfig = loadConfig(settings);
+
+  assert.strictEqual(await runOnce(baseConfig, settings), 'completed');
+  const first = await fs.readlink(path.join(baseConfig.outputDir, 'latest'));
+  assert.strictEqual((await env.readJson(path.join('daemon', 'latest', 'deals.json'))).length, 20);
+
+  // A failing run leaves the latest snapshot as it was
+  env.mock.fail({ path: /^\/crm\/v3\/objects\/deals\/search$/, method: 'POST', status: 500 });
+  assert.strictEqual(await runOnce(baseConfig, settings), 'failed');
+  assert.strictEqual(await fs.readlink(path.join(baseConfig.outputDir, 'latest')), first);
+  env.mock.clearFaults();
+
+  assert.strictEqual(await runOnce(baseConfig, settings), 'completed');
+  const second = await fs.readlink(path.join(baseConfig.outputDir, 'latest'));
+  assert.notStrictEqual(second, first);
+  assert.strictEqual((await env.readJson(path.join('daemon', 'latest', 'manifest.json'))).objectTypes.deals, 'incremental');
+  // Only the last snapshot of the day is kept
+  assert.deepStrictEqual(await env.listFiles(path.join('daemon', 'snapshots')), [path.basename(second)]);
+});
+
+test('refuses dry runs, which would promote an unchanged snapshot', async () => {
+  const settings = env.settings({ OUTPUT_DIR: path.join(env.outputDir, 'daemon') });
+  const baseConfig = loadConfig(settings);
+  assert.strictEqual(await runOnce(baseConfig, settings), 'completed');
+  const latest = await fs.readlink(path.join(baseConfig.outputDir, 'latest'));
+
+  const drySettings = { ...settings, DRY_RUN: 'true' };
+  await assert.rejects(runOnce(loadConfig(drySettings), drySettings), /can't do dry runs/);
+  assert.strictEqual(await fs.readlink(path.join(baseConfig.outputDir, 'latest')), latest);
+  assert.deepStrictEqual(await env.listFiles(path.join('daemon', 'snapshots')), [path.basename(latest)]);
+});
+
+test('skips a run and webhook changes while another one holds the lock', async () => {
+  const settings = env.settings({ OUTPUT_DIR: path.join(env.outputDir, 'daemon') });
+  const baseConfig = loadConfig(settings);
+  const release = await acquireLock(baseConfig.lockFile);
+
+  assert.strictEqual(await runOnce(baseConfig, settings), 'skipped');
+  await assert.rejects(env.createTestSync({ LOCK_FILE: baseConfig.lockFile }).run(), { code: 'ELOCKED' });
+  // Webhook changes wait as well, without writing anything
+  const changes = [{ action: 'upsert', objectType: 'deals', objectId: '1000' }];
+  await assert.rejects(env.createTestSync({ LOCK_FILE: baseConfig.lockFile }).applyChanges(changes), { code: 'ELOCKED' });
+  assert.ok(!(await env.listFiles()).includes('deals.json'));
+
+  await release();
+  assert.strictEqual(await runOnce(baseConfig, settings), 'completed');
+});
+
+test('takes over a lock left by a process that is gone', async () => {
+  const lockFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'hubspot-sync-lock-')), 'test.lock');
+  await fs.writeFile(lockFile, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), startedAt: '2024-01-01T00:00:00.000Z' }));
+
+  const release = await acquireLock(lockFile);
+  assert.strictEqual(JSON.parse(await fs.readFile(lockFile, 'utf8')).pid, process.pid);
+  await release();
+  await assert.rejects(fs.access(lockFile));
+  await fs.rm(path.dirname(lockFile), { recursive: true, force: true });
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { EXIT_CODES } = require('../hubspot-sync');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+let env;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal({ deals: 150, notesPerDeal: 1 }));
+});
+
+afterEach(async () => {
+  await env.cleanup();
+});
+
+test('retries rate-limited requests', async () => {
+  const fault = env.mock.fail({ path: /^\/crm\/v3\/objects\/deals$/, status: 429, times: 2, headers: { 'retry-after': '0' } });
+
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), EXIT_CODES.completed);
+
+  assert.strictEqual(fault.hits, 2);
+  const manifest = await env.readJson('manifest.json');
+  assert.strictEqual(manifest.stats.api.rateLimited, 2);
+  assert.strictEqual((await env.readJson('deals.json')).length, 150);
+});
+
+test('a failed engagement batch fails only the deals it covers, and the next run retries them', async () => {
+  // Deals are processed 100 at a time, so the notes of deals 1100-1149 are read in a batch of their own
+  const fault = env.mock.fail({
+    method: 'POST',
+    path: /^\/crm\/v3\/objects\/notes\/batch\/read$/,
+    status: 500,
+    when: request => JSON.parse(request.body).inputs.some(input => input.id === '100120')
+  });
+
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), EXIT_CODES.incomplete);
+
+  assert.strictEqual(fault.hits, 3, 'the batch is tried once and retried MAX_RETRIES times');
+  const manifest = await env.readJson('manifest.json');
+  assert.strictEqual(manifest.status, 'incomplete');
+  assert.strictEqual(manifest.failedRecords, 50);
+  assert.deepStrictEqual(manifest.failures.map(failure => failure.id).sort(), Array.from({ length: 50 }, (_, i) => String(1100 + i)));
+  assert.ok(!(await env.listFiles('activities')).includes('1120.json'), 'failed deals get no activities file');
+  assert.strictEqual((await env.readJson('activities/1000.json')).activity_types.notes.error, undefined);
+  assert.ok((await env.listFiles()).includes('checkpoint.jsonl'), 'the checkpoint keeps the failed deals');
+
+  env.mock.clearFaults();
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), EXIT_CODES.completed);
+
+  const retried = await env.readJson('activities/1120.json');
+  assert.strictEqual(retried.activity_types.notes.error, undefined);
+  assert.deepStrictEqual(retried.activity_types.notes.associations.map(association => String(association.toObjectId)), ['100120']);
+  assert.strictEqual((await env.readJson('manifest.json')).status, 'completed');
+  assert.strictEqual((await env.listFiles('engagements/notes')).length, 150);
+});
+
+test('a run that can\'t list deals fails', async () => {
+  env.mock.fail({ path: /^\/crm\/v3\/objects\/deals$/, status: 503 });
+
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), EXIT_CODES.failed);
+
+  const manifest = await env.readJson('manifest.json');
+  assert.strictEqual(manifest.status, 'failed');
+  assert.match(manifest.error, /503|Injected/);
+});
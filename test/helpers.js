@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { setupLogging } = require('../lib/logger');
+const { createSync } = require('../hubspot-sync');
+const { record, createMockHubSpot } = require('./mock-hubspot');
+
+// The sync logs every page and record; TEST_LOG_LEVEL=info shows it when a test needs debugging
+setupLogging({ level: process.env.TEST_LOG_LEVEL || 'error' });
+
+// A portal of deals, each with notesPerDeal notes of its own
+function buildPortal({ deals = 3, notesPerDeal = 1 } = {}) {
+  const objects = { deals: [], notes: [] };
+  const associations = { 'deals:notes': {} };
+  for (let i = 0; i < deals; i++) {
+    const dealId = String(1000 + i);
+    objects.deals.push(record(dealId, { dealname: `Deal ${i}`, dealstage: 'appointmentscheduled', pipeline: 'default' }));
+    associations['deals:notes'][dealId] = [];
+    for (let k = 0; k < notesPerDeal; k++) {
+      const noteId = String(100000 + i * notesPerDeal + k);
+      objects.notes.push(record(noteId, { hs_note_body: `Note ${k} of deal ${i}` }));
+      associations['deals:notes'][dealId].push(noteId);
+    }
+  }
+  return { objects, associations };
+}
+
+// A mock HubSpot serving fixtures, and syncs writing to a temporary output directory.
+// settings(env) are the variables configuring a sync pointed at the mock, with env on top;
+// createTestSync(env) creates a sync configured with them.
+async function createTestEnvironment(fixtures) {
+  const mock = createMockHubSpot(fixtures);
+  await mock.start();
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hubspot-sync-test-'));
+
+  function settings(env = {}) {
+    return {
+      HUBSPOT_API_BASE_URL: mock.url,
+      HUBSPOT_ACCESS_TOKEN: 'test-token',
+      OUTPUT_DIR: outputDir,
+      TOKEN_FILE: path.join(outputDir, '.hubspot-tokens.json'),
+      RETRY_BASE_DELAY_MS: '1',
+      MAX_RETRIES: '2',
+      ...env
+    };
+  }
+
+  function createTestSync(env = {}) {
+    return createSync({ config: loadConfig(settings(env)) });
+  }
+
+  async function readJson(file) {
+    return JSON.parse(await fs.readFile(path.join(outputDir, file), 'utf8'));
+  }
+
+  async function listFiles(directory = '') {
+    try {
+      return (await fs.readdir(path.join(outputDir, directory))).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function cleanup() {
+    await mock.close();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+
+  return { mock, fixtures, outputDir, settings, createTestSync, readJson, listFiles, cleanup };
+}
+
+module.exports = {
+  buildPortal,
+  createTestEnvironment
+};
@@ -0,0 +1,129 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { HubSpotSync } = require('..');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+let env;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal({ deals: 150, notesPerDeal: 2 }));
+});
+
+afterEach(async () => {
+  await env.cleanup();
+});
+
+test('iterates over deals and their activities without writing anything', async () => {
+  const hubSpotSync = new HubSpotSync({ settings: env.settings({ BATCH_SIZE: '100' }) });
+
+  const dealIds = [];
+  for await (const deal of hubSpotSync.iterateDeals()) {
+    dealIds.push(deal.id);
+  }
+  assert.strictEqual(dealIds.length, 150);
+  assert.strictEqual(env.mock.requestsTo('GET', /^\/crm\/v3\/objects\/deals$/).length, 2);
+
+  const activities = [];
+  for await (const activity of hubSpotSync.iterateDealActivities('1001')) {
+    activities.push(activity);
+  }
+  assert.deepStrictEqual(activities.map(activity => [activity.type, activity.engagement.id]), [['notes', '100002'], ['notes', '100003']]);
+  assert.strictEqual(activities[0].engagement.properties.hs_note_body, 'Note 0 of deal 1');
+  assert.ok(Array.isArray(activities[0].associationTypes));
+
+  assert.deepStrictEqual((await env.listFiles()).filter(file => !file.startsWith('.')), []);
+});
+
+test('emits progress, log and finish events instead of writing to the console', async () => {
+  const hubSpotSync = new HubSpotSync({ settings: env.settings() });
+  const progress = [];
+  const logs = [];
+  let manifest = null;
+  hubSpotSync.on('progress', event => progress.push(event));
+  hubSpotSync.on('log', entry => logs.push(entry));
+  hubSpotSync.on('finish', finished => {
+    manifest = finished;
+  });
+
+  assert.strictEqual(await hubSpotSync.sync(), 'completed');
+
+  assert.deepStrictEqual(progress.filter(event => event.phase === 'records').at(-1), { objectType: 'deals', phase: 'records', fetched: 150 });
+  assert.deepStrictEqual(progress.filter(event => event.phase === 'activities').at(-1),
+    { objectType: 'deals', phase: 'activities', processed: 150, total: 150, failed: 0 });
+  assert.ok(logs.some(entry => entry.level === 'info' && entry.msg === 'Export completed successfully!'));
+  assert.strictEqual(manifest.status, 'completed');
+  assert.strictEqual((await env.readJson('deals.json')).length, 150);
+});
+
+test('emits an error event for each record that fails', async () => {
+  env.mock.fail({ method: 'POST', path: /^\/crm\/v4\/associations\/deals\/notes\/batch\/read$/, status: 500 });
+  const hubSpotSync = new HubSpotSync({ settings: env.settings(), logger: { debug() {}, log() {}, info() {}, warn() {}, error() {} } });
+  const errors = [];
+  hubSpotSync.on('error', error => errors.push(error));
+
+  assert.strictEqual(await hubSpotSync.sync(), 'incomplete');
+
+  assert.strictEqual(errors.length, 150);
+  assert.strictEqual(errors[0].objectType, 'deals');
+  assert.match(errors[0].message, /^Export failed for deals 1000/);
+});
+
+test('takes access tokens from a token provider and asks it to refresh a rejected one', async () => {
+  let current = 'expired-token';
+  const refreshed = [];
+  const hubSpotSync = new HubSpotSync({
+    settings: env.settings({ HUBSPOT_ACCESS_TOKEN: '' }),
+    tokenProvider: {
+      getAccessToken: async () => current,
+      refresh: async (rejectedToken) => {
+        refreshed.push(rejectedToken);
+        current = 'test-token';
+      }
+    }
+  });
+
+  assert.strictEqual(await hubSpotSync.export(), 'completed');
+
+  assert.deepStrictEqual(refreshed, ['expired-token']);
+  assert.ok(env.mock.requests.every(request => request.token === null || ['expired-token', 'test-token'].includes(request.token)));
+});
+
+test('rejects instead of exiting without an access token', async () => {
+  const hubSpotSync = new HubSpotSync({ settings: env.settings({ HUBSPOT_ACCESS_TOKEN: '' }) });
+
+  await assert.rejects(hubSpotSync.sync(), /No access token found/);
+});
+
+test('ignores the host process\'s arguments and environment when given settings', async () => {
+  assert.strictEqual(await new HubSpotSync({ settings: env.settings() }).sync(), 'completed');
+
+  process.argv.push('--full');
+  process.env.PROPERTIES_INCLUDE_DEALS = 'dealname';
+  try {
+    const hubSpotSync = new HubSpotSync({ settings: env.settings() });
+    assert.strictEqual(await hubSpotSync.sync(), 'completed');
+    const { value: deal } = await hubSpotSync.iterateDeals().next();
+    assert.strictEqual(deal.properties.dealstage, 'appointmentscheduled');
+  } finally {
+    process.argv.pop();
+    delete process.env.PROPERTIES_INCLUDE_DEALS;
+  }
+
+  assert.strictEqual((await env.readJson('manifest.json')).objectTypes.deals, 'incremental');
+});
+
+test('labels the metrics with the profile of the settings, not of the host process', async () => {
+  const metricsFile = path.join(env.outputDir, 'hubspot_sync.prom');
+  process.env.HUBSPOT_PROFILE = 'host';
+  try {
+    assert.strictEqual(await new HubSpotSync({ settings: env.settings({ HUBSPOT_PROFILE: 'acme', METRICS_FILE: metricsFile }) }).sync(), 'completed');
+  } finally {
+    delete process.env.HUBSPOT_PROFILE;
+  }
+
+  const metrics = await fs.readFile(metricsFile, 'utf8');
+  assert.match(metrics, /^hubspot_sync_last_run_success\{profile="acme"\} 1$/m);
+  assert.ok(!metrics.includes('host'));
+});
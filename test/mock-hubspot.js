@@ -0,0 +1,289 @@
+const http = require('http');
+
+// Local stand-in for the HubSpot API, so the sync can be tested without credentials. It serves
+// CRM objects, v4 associations, batch reads, search, properties, pipelines and the OAuth token
+// endpoints from in-memory fixtures, and can be told to answer requests with failures (401, 429,
+// 5xx) to exercise retries and token refresh. Every request is recorded in requests.
+
+// A CRM record as the API returns it
+function record(id, properties = {}, { updatedAt = '2024-01-02T00:00:00.000Z' } = {}) {
+  return {
+    id: String(id),
+    properties: { hs_object_id: String(id), hs_lastmodifieddate: updatedAt, ...properties },
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt,
+    archived: false
+  };
+}
+
+// Property values compared by the search filters; dates as timestamps
+function comparable(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const timestamp = /^\d{4}-\d{2}-\d{2}T/.test(value) ? Date.parse(value) : Number(value);
+  return isNaN(timestamp) ? String(value) : timestamp;
+}
+
+function matchesFilter(item, filter) {
+  const value = comparable(filter.propertyName === 'hs_object_id' ? item.id : item.properties[filter.propertyName]);
+  switch (filter.operator) {
+    case 'EQ': return value === comparable(filter.value);
+    case 'GTE': return value !== null && value >= comparable(filter.value);
+    case 'LTE': return value !== null && value <= comparable(filter.value);
+    case 'IN': return filter.values.map(comparable).includes(value);
+    default: throw new Error(`The mock doesn't support the ${filter.operator} operator`);
+  }
+}
+
+function pick(item, properties) {
+  if (!properties) {
+    return { ...item, properties: { ...item.properties } };
+  }
+  const picked = {};
+  for (const name of properties) {
+    if (item.properties[name] !== undefined) {
+      picked[name] = item.properties[name];
+    }
+  }
+  return { ...item, properties: picked };
+}
+
+// The history of the requested properties: a single change to their current value
+function withHistory(picked, item, properties) {
+  if (!properties) {
+    return picked;
+  }
+  const history = {};
+  for (const name of properties) {
+    if (item.properties[name] !== undefined) {
+      history[name] = [{ value: item.properties[name], timestamp: item.updatedAt, sourceType: 'CRM_UI' }];
+    }
+  }
+  return { ...picked, propertiesWithHistory: history };
+}
+
+function page(list, limit, after) {
+  const start = after ? parseInt(after, 10) : 0;
+  const results = list.slice(start, start + limit);
+  return {
+    results,
+    ...(start + limit < list.length ? { paging: { next: { after: String(start + limit) } } } : {})
+  };
+}
+
+// objects: records by type, e.g. { deals: [record(1)], notes: [record(9001)] }
+// associations: IDs by `${fromType}:${toType}` and from ID, e.g. { 'deals:notes': { 1: [9001] } };
+//   the reverse direction is answered from the same fixtures
+// accessTokens: tokens accepted from the start; refreshTokens those the token endpoint accepts
+function createMockHubSpot({ objects = {}, associations = {}, accessTokens = ['test-token'], refreshTokens = ['test-refresh'], scopes = [] } = {}) {
+  const validTokens = new Set(accessTokens);
+  const validRefreshTokens = new Set(refreshTokens);
+  const faults = [];
+  const requests = [];
+  let issuedTokens = 0;
+  let expireAfter = null;
+  let server;
+
+  function associatedIds(fromType, toType, id) {
+    const forward = associations[`${fromType}:${toType}`];
+    if (forward) {
+      return (forward[id] || []).map(String);
+    }
+    const reverse = associations[`${toType}:${fromType}`] || {};
+    return Object.keys(reverse).filter(fromId => reverse[fromId].map(String).includes(String(id)));
+  }
+
+  function withInlineAssociations(objectType, item, types) {
+    if (!types) {
+      return item;
+    }
+    const inline = {};
+    for (const toType of types) {
+      const ids = associatedIds(objectType, toType, item.id);
+      if (ids.length > 0) {
+        inline[toType] = { results: ids.map(id => ({ id, type: `${objectType}_to_${toType}` })) };
+      }
+    }
+    return Object.keys(inline).length > 0 ? { ...item, associations: inline } : item;
+  }
+
+  function issueToken() {
+    issuedTokens++;
+    const accessToken = `access-${issuedTokens}`;
+    validTokens.add(accessToken);
+    return accessToken;
+  }
+
+  // The API's answer to one request: [status, body, headers]
+  function route(request) {
+    const { method, pathname, query, body, token } = request;
+    let match;
+
+    if (method === 'POST' && pathname === '/oauth/v1/token') {
+      const form = new URLSearchParams(body);
+      const grant = form.get('grant_type');
+      if (grant === 'refresh_token' && !validRefreshTokens.has(form.get('refresh_token'))) {
+        return [400, { status: 'BAD_REFRESH_TOKEN', message: 'missing or unknown refresh token' }];
+      }
+      if (grant === 'authorization_code' && form.get('code') !== 'test-code') {
+        return [400, { status: 'BAD_AUTH_CODE', message: 'missing or unknown auth code' }];
+      }
+      const refreshToken = `refresh-${issuedTokens + 1}`;
+      validRefreshTokens.add(refreshToken);
+      return [200, { access_token: issueToken(), refresh_token: refreshToken, expires_in: 1800, token_type: 'bearer' }];
+    }
+    if (method === 'GET' && (match = pathname.match(/^\/oauth\/v1\/access-tokens\/(.+)$/))) {
+      if (!validTokens.has(decodeURIComponent(match[1]))) {
+        return [404, { status: 'error', message: 'Token not found' }];
+      }
+      return [200, { token: match[1], user: 'test@example.com', hub_domain: 'example.com', hub_id: 4242, app_id: 1, expires_in: 1800, user_id: 1, token_type: 'access', scopes }];
+    }
+
+    if (!validTokens.has(token)) {
+      return [401, { status: 'error', message: 'Authentication credentials not found', category: 'EXPIRED_AUTHENTICATION' }];
+    }
+
+    if (method === 'GET' && (match = pathname.match(/^\/crm\/v3\/objects\/([\w-]+)$/))) {
+      const archived = query.get('archived') === 'true';
+      const list = (objects[match[1]] || []).filter(item => Boolean(item.archived) === archived);
+      const properties = query.get('properties') ? query.get('properties').split(',') : null;
+      const types = query.get('associations') ? query.get('associations').split(',') : null;
+      const result = page(list, parseInt(query.get('limit') || '10', 10), query.get('after'));
+      result.results = result.results.map(item => withInlineAssociations(match[1], pick(item, properties), types));
+      return [200, result];
+    }
+    if (method === 'GET' && (match = pathname.match(/^\/crm\/v3\/objects\/([\w-]+)\/(\d+)$/))) {
+      const item = (objects[match[1]] || []).find(candidate => candidate.id === match[2] && !candidate.archived);
+      if (!item) {
+        return [404, { status: 'error', message: 'Object not found', category: 'OBJECT_NOT_FOUND' }];
+      }
+      const properties = query.get('properties') ? query.get('properties').split(',') : null;
+      const types = query.get('associations') ? query.get('associations').split(',') : null;
+      return [200, withInlineAssociations(match[1], pick(item, properties), types)];
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/crm\/v3\/objects\/([\w-]+)\/search$/))) {
+      const search = JSON.parse(body);
+      let list = (objects[match[1]] || []).filter(item => !item.archived);
+      const groups = search.filterGroups || [];
+      if (groups.length > 0) {
+        list = list.filter(item => groups.some(group => group.filters.every(filter => matchesFilter(item, filter))));
+      }
+      for (const sort of [...(search.sorts || [])].reverse()) {
+        const direction = sort.direction === 'DESCENDING' ? -1 : 1;
+        list = [...list].sort((a, b) => direction * (comparable(a.properties[sort.propertyName]) - comparable(b.properties[sort.propertyName])));
+      }
+      const result = page(list, search.limit || 10, search.after);
+      result.results = result.results.map(item => pick(item, search.properties));
+      return [200, { total: list.length, ...result }];
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/crm\/v3\/objects\/([\w-]+)\/batch\/read$/))) {
+      const read = JSON.parse(body);
+      const byId = new Map((objects[match[1]] || []).map(item => [item.id, item]));
+      const results = read.inputs.map(input => byId.get(String(input.id))).filter(Boolean).map(item => withHistory(pick(item, read.properties), item, read.propertiesWithHistory));
+      return [200, { status: 'COMPLETE', results, startedAt: new Date().toISOString(), completedAt: new Date().toISOString() }];
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/crm\/v4\/associations\/([\w-]+)\/([\w-]+)\/batch\/read$/))) {
+      const read = JSON.parse(body);
+      const results = [];
+      for (const input of read.inputs) {
+        const ids = associatedIds(match[1], match[2], input.id);
+        if (ids.length > 0) {
+          results.push({
+            from: { id: String(input.id) },
+            to: ids.map(id => ({ toObjectId: Number(id), associationTypes: [{ category: 'HUBSPOT_DEFINED', typeId: 1, label: null }] }))
+          });
+        }
+      }
+      return [200, { status: 'COMPLETE', results, startedAt: new Date().toISOString(), completedAt: new Date().toISOString() }];
+    }
+    if (method === 'GET' && (match = pathname.match(/^\/crm\/v3\/properties\/([\w-]+)$/))) {
+      const names = new Set();
+      (objects[match[1]] || []).forEach(item => Object.keys(item.properties).forEach(name => names.add(name)));
+      return [200, { results: [...names].map(name => ({ name, label: name, type: 'string', fieldType: 'text', description: '', groupName: 'test', options: [] })) }];
+    }
+    if (method === 'GET' && pathname === '/crm/v3/pipelines/deals') {
+      const stage = (id, displayOrder) => ({ id, label: id, displayOrder, metadata: {}, archived: false, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' });
+      return [200, { results: [{ id: 'default', label: 'Sales Pipeline', displayOrder: 0, archived: false, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z', stages: [stage('appointmentscheduled', 0), stage('closedwon', 1)] }] }];
+    }
+    return [404, { status: 'error', message: `The mock has no route for ${method} ${pathname}` }];
+  }
+
+  function handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const authorization = req.headers.authorization || '';
+    const request = {
+      method: req.method,
+      pathname: url.pathname,
+      query: url.searchParams,
+      body,
+      token: authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null
+    };
+    requests.push(request);
+
+    // Tokens issued so far stop working after a number of authenticated requests
+    if (expireAfter !== null && request.token && validTokens.has(request.token) && --expireAfter < 0) {
+      validTokens.clear();
+      expireAfter = null;
+    }
+
+    let [status, responseBody, headers] = route(request);
+    const fault = faults.find(candidate => candidate.times > 0 && candidate.method === req.method &&
+      candidate.path.test(url.pathname) && (!candidate.when || candidate.when(request)));
+    if (fault && !request.pathname.startsWith('/oauth/')) {
+      fault.times--;
+      fault.hits++;
+      [status, responseBody, headers] = [fault.status, { status: 'error', message: `Injected ${fault.status}` }, fault.headers];
+    }
+
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(responseBody));
+  }
+
+  return {
+    requests,
+
+    // The requests made so far for a method and path pattern
+    requestsTo(method, path) {
+      return requests.filter(request => request.method === method && path.test(request.pathname));
+    },
+
+    // Answer matching requests with status instead, times times (every time by default).
+    // when(request) narrows the requests, e.g. by their body. Returns the fault, which counts
+    // its hits.
+    fail({ method = 'GET', path, status, times = Infinity, headers = {}, when }) {
+      const fault = { method, path, status, times, headers, when, hits: 0 };
+      faults.push(fault);
+      return fault;
+    },
+
+    clearFaults() {
+      faults.length = 0;
+    },
+
+    // Reject every token issued so far after count more authenticated requests, as if they expired
+    expireTokensAfter(count) {
+      expireAfter = count;
+    },
+
+    async start() {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks).toString('utf8')));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+      return this.url;
+    },
+
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  record,
+  createMockHubSpot
+};
@@ -0,0 +1,83 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createOAuth } = require('../hubspot-oauth');
+const { loadConfig } = require('../lib/config');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+let env;
+let oauth;
+let server;
+let baseUrl;
+let authorized;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal());
+  const settings = env.settings({ HUBSPOT_CLIENT_ID: 'test-client', HUBSPOT_CLIENT_SECRET: 'test-secret' });
+  authorized = [];
+  oauth = createOAuth({ env: settings, config: loadConfig(settings), logger: quiet, onAuthorized: stored => authorized.push(stored) });
+  server = oauth.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await env.cleanup();
+});
+
+function callback(query) {
+  return fetch(`${baseUrl}/oauth-callback?${new URLSearchParams(query)}`);
+}
+
+test('sends a random state with the authorization request', () => {
+  assert.match(oauth.state, /^[0-9a-f]{32}$/);
+  assert.strictEqual(new URL(oauth.getAuthUrl()).searchParams.get('state'), oauth.state);
+});
+
+test('rejects a callback without the state', async () => {
+  const response = await callback({ code: 'test-code' });
+
+  assert.strictEqual(response.status, 400);
+  assert.match(await response.text(), /Invalid state parameter/);
+  assert.deepStrictEqual(authorized, []);
+});
+
+test('rejects a callback with another state, also one of the same length in other characters', async () => {
+  const queries = [
+    { code: 'test-code', state: '0'.repeat(32) },
+    { code: 'test-code', state: 'é'.repeat(32) },
+    // Repeated, the state arrives as an array
+    [['code', 'test-code'], ['state', oauth.state], ['state', oauth.state]]
+  ];
+  for (const query of queries) {
+    assert.strictEqual((await callback(query)).status, 400);
+  }
+  assert.deepStrictEqual(authorized, []);
+  assert.strictEqual(env.mock.requestsTo('POST', /^\/oauth\/v1\/token$/).length, 0);
+});
+
+test('stores the tokens of a callback with the state, which can be used only once', async () => {
+  const response = await callback({ code: 'test-code', state: oauth.state });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(authorized.length, 1);
+  assert.strictEqual(authorized[0].portalId, 4242);
+  assert.strictEqual((await env.readJson('.hubspot-tokens.json')).accessToken, 'access-1');
+
+  const reused = await callback({ code: 'test-code', state: oauth.state });
+  assert.strictEqual(reused.status, 400);
+  assert.match(await reused.text(), /already completed/);
+  assert.strictEqual(authorized.length, 1);
+});
+
+test('requires the state in headless mode too', async () => {
+  const settings = env.settings({ HUBSPOT_CLIENT_ID: 'test-client', HUBSPOT_CLIENT_SECRET: 'test-secret' });
+  let pasted = 'test-code';
+  const headless = createOAuth({ env: settings, config: loadConfig(settings), logger: quiet, readInput: async () => pasted });
+
+  await assert.rejects(headless.authorizeHeadless(), /Invalid state parameter/);
+  pasted = `http://localhost:3000/oauth-callback?code=test-code&state=${headless.state}`;
+  assert.strictEqual((await headless.authorizeHeadless()).portalId, 4242);
+});
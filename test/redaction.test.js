@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { EXIT_CODES } = require('../hubspot-sync');
+const { readNdjson } = require('../lib/outputs/flatten');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+const POLICY = {
+  objectTypes: {
+    deals: { properties: { dealname: 'hash', pipeline: 'drop' } },
+    notes: { properties: { hs_note_body: { action: 'redact', patterns: ['email', 'phone'] } } }
+  }
+};
+
+let env;
+let policyFile;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal({ deals: 150, notesPerDeal: 1 }));
+  env.fixtures.objects.notes[0].properties.hs_note_body = 'Call jane@example.com or +1 555 010 9999 tomorrow';
+  policyFile = path.join(env.outputDir, 'policy.json');
+  await fs.writeFile(policyFile, JSON.stringify(POLICY));
+});
+
+afterEach(async () => {
+  await env.cleanup();
+});
+
+test('hashes, drops and redacts properties before they are written, and reports them', async () => {
+  const sync = env.createTestSync({ REDACTION_POLICY: policyFile, REDACTION_SALT: 'pepper' });
+
+  assert.strictEqual(await sync.run({ useSyncState: true }), 0);
+
+  const deal = (await env.readJson('deals.json')).find(record => record.id === '1000');
+  assert.strictEqual(deal.properties.dealname, crypto.createHmac('sha256', 'pepper').update('Deal 0').digest('hex'));
+  assert.ok(!('pipeline' in deal.properties));
+  assert.strictEqual(deal.properties.dealstage, 'appointmentscheduled');
+
+  const note = await env.readJson('engagements/notes/100000.json');
+  assert.strictEqual(note.properties.hs_note_body, 'Call [REDACTED] or [REDACTED] tomorrow');
+  assert.strictEqual((await env.readJson('engagements/notes/100001.json')).properties.hs_note_body, 'Note 0 of deal 1');
+
+  const report = await env.readJson('redaction-report.json');
+  assert.deepStrictEqual(report.fields, [
+    { objectType: 'deals', property: 'dealname', action: 'hash', values: 150 },
+    { objectType: 'deals', property: 'pipeline', action: 'drop', values: 150 },
+    { objectType: 'notes', property: 'hs_note_body', action: 'redact', values: 1, matches: 2 }
+  ]);
+  assert.deepStrictEqual((await env.readJson('manifest.json')).redaction, { policy: policyFile, report: 'redaction-report.json' });
+});
+
+test('applies the policy to every output format', async () => {
+  const sync = env.createTestSync({ OUTPUT_FORMAT: 'ndjson', REDACTION_POLICY: policyFile, REDACTION_SALT: 'pepper' });
+
+  assert.strictEqual(await sync.run({ useSyncState: true }), 0);
+
+  const notes = [];
+  for await (const row of readNdjson(path.join(env.outputDir, 'notes.ndjson'))) {
+    notes.push(row);
+  }
+  assert.strictEqual(notes.find(row => row.id === '100000').hs_note_body, 'Call [REDACTED] or [REDACTED] tomorrow');
+  const deals = [];
+  for await (const row of readNdjson(path.join(env.outputDir, 'deals.ndjson'))) {
+    deals.push(row);
+  }
+  assert.ok(deals.every(row => /^[0-9a-f]{64}$/.test(row.dealname) && row.pipeline === undefined));
+});
+
+test('journals fetched pages redacted, and resumes from them without redacting them again', async () => {
+  // The second page of deals fails, so the first one is only in the checkpoint journal
+  env.mock.fail({ path: /^\/crm\/v3\/objects\/deals$/, status: 503, when: request => request.query.get('after') === '100' });
+  const settings = { REDACTION_POLICY: policyFile, REDACTION_SALT: 'pepper' };
+  assert.strictEqual(await env.createTestSync(settings).run({ useSyncState: true }), EXIT_CODES.failed);
+
+  const journal = await fs.readFile(path.join(env.outputDir, 'checkpoint.jsonl'), 'utf8');
+  const pages = journal.split('\n').filter(Boolean).map(line => JSON.parse(line)).filter(event => event.type === 'page');
+  assert.strictEqual(pages.length, 1);
+  assert.ok(pages[0].records.every(record => /^[0-9a-f]{64}$/.test(record.properties.dealname) && !('pipeline' in record.properties)));
+  assert.ok(!journal.includes('Deal 0'));
+
+  env.mock.clearFaults();
+  assert.strictEqual(await env.createTestSync(settings).run({ useSyncState: true }), EXIT_CODES.completed);
+  const deals = await env.readJson('deals.json');
+  assert.strictEqual(deals.length, 150);
+  assert.strictEqual(deals.find(record => record.id === '1000').properties.dealname,
+    crypto.createHmac('sha256', 'pepper').update('Deal 0').digest('hex'));
+});
+
+test('refuses a policy with hash rules but no salt', async () => {
+  assert.throws(() => env.createTestSync({ REDACTION_POLICY: policyFile }), /REDACTION_SALT must be set/);
+});
@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { readNdjson } = require('../lib/outputs/flatten');
+const { runPool } = require('../lib/pool');
+const { verifyManifest } = require('../lib/verify');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+let env;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal({ deals: 250, notesPerDeal: 2 }));
+});
+
+afterEach(async () => {
+  await env.cleanup();
+});
+
+test('pages through every deal with the paging cursor', async () => {
+  const sync = env.createTestSync({ BATCH_SIZE: '100' });
+
+  assert.strictEqual(await sync.run({ useSyncState: true }), 0);
+
+  const pages = env.mock.requestsTo('GET', /^\/crm\/v3\/objects\/deals$/);
+  assert.deepStrictEqual(pages.map(request => request.query.get('after')), [null, '100', '200']);
+  const deals = await env.readJson('deals.json');
+  assert.strictEqual(deals.length, 250);
+  assert.strictEqual(new Set(deals.map(deal => deal.id)).size, 250);
+});
+
+test('writes the JSON file layout', async () => {
+  const sync = env.createTestSync();
+
+  assert.strictEqual(await sync.run({ useSyncState: true }), 0);
+
+  const files = await env.listFiles();
+  for (const file of ['deals.json', 'deals.schema.json', 'manifest.json', 'sync-state.json', 'record-ids.json', 'activities', 'engagements']) {
+    assert.ok(files.includes(file), `${file} is written`);
+  }
+  assert.ok(!files.includes('checkpoint.jsonl'), 'the checkpoint journal is removed after a complete run');
+
+  assert.strictEqual((await env.listFiles('activities')).filter(file => file.endsWith('.json')).length, 250);
+  assert.strictEqual((await env.listFiles('engagements/notes')).length, 500);
+
+  const activities = await env.readJson('activities/1000.json');
+  assert.strictEqual(activities.deal_id, '1000');
+  assert.deepStrictEqual(activities.activity_types.notes.associations.map(association => String(association.toObjectId)), ['100000', '100001']);
+  assert.strictEqual((await env.readJson('engagements/notes/100000.json')).properties.hs_note_body, 'Note 0 of deal 0');
+
+  const manifest = await env.readJson('manifest.json');
+  assert.strictEqual(manifest.status, 'completed');
+  assert.strictEqual(manifest.failedRecords, 0);
+  assert.ok(manifest.files.some(file => file.path === 'deals.json'));
+});
+
+test('writes one NDJSON row per engagement with the deals it belongs to', async () => {
+  const sync = env.createTestSync({ OUTPUT_FORMAT: 'ndjson' });
+
+  assert.strictEqual(await sync.run({ useSyncState: true }), 0);
+
+  const files = await env.listFiles();
+  assert.ok(files.includes('deals.ndjson'));
+  assert.ok(files.includes('notes.ndjson'));
+  const notes = [];
+  for await (const row of readNdjson(`${env.outputDir}/notes.ndjson`)) {
+    notes.push(row);
+  }
+  assert.strictEqual(notes.length, 500);
+  assert.deepStrictEqual(notes.find(row => row.id === '100001').deals_ids, ['1000']);
+});
+
+test('an incremental sync searches for deals modified since the last run', async () => {
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), 0);
+
+  // Modified after the first run, beyond the overlap an incremental sync looks back
+  const changed = env.fixtures.objects.deals[5];
+  const modifiedAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  changed.properties = { ...changed.properties, dealname: 'Renamed', hs_lastmodifieddate: modifiedAt };
+  changed.updatedAt = modifiedAt;
+
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), 0);
+
+  assert.ok(env.mock.requestsTo('POST', /^\/crm\/v3\/objects\/deals\/search$/).length > 0);
+  assert.strictEqual((await env.readJson('manifest.json')).objectTypes.deals, 'incremental');
+  const deals = await env.readJson('deals.json');
+  assert.strictEqual(deals.length, 250);
+  assert.strictEqual(deals.find(deal => deal.id === changed.id).properties.dealname, 'Renamed');
+});
+
+test('the manifest keeps the checksums of files an incremental sync leaves alone', async () => {
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), 0);
+  const fullRun = await env.readJson('manifest.json');
+  await fs.writeFile(path.join(env.outputDir, 'activities', '1000.json'), '{}');
+
+  const changed = env.fixtures.objects.deals[5];
+  const modifiedAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  changed.properties = { ...changed.properties, hs_lastmodifieddate: modifiedAt };
+  changed.updatedAt = modifiedAt;
+  assert.strictEqual(await env.createTestSync().run({ useSyncState: true }), 0);
+
+  const { checked, problems } = await verifyManifest(env.outputDir);
+  assert.strictEqual(checked, fullRun.files.length);
+  const { size } = fullRun.files.find(file => file.path === 'activities/1000.json');
+  assert.deepStrictEqual(problems, [{ path: 'activities/1000.json', problem: `size 2, expected ${size}` }]);
+});
+
+test('a deleted deal loses its activities, history and stage transitions', async () => {
+  const settings = { HISTORY_PROPERTIES: 'dealstage' };
+  assert.strictEqual(await env.createTestSync(settings).run({ useSyncState: true }), 0);
+  assert.ok((await env.readJson('stage_transitions.json')).some(row => row.deal_id === '1005'));
+
+  const deleted = env.fixtures.objects.deals[5];
+  deleted.archived = true;
+  deleted.archivedAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  assert.strictEqual(await env.createTestSync(settings).run({ useSyncState: true }), 0);
+
+  assert.strictEqual((await env.readJson('tombstones.json')).find(tombstone => tombstone.id === '1005').reason, 'deleted');
+  for (const file of ['activities/1005.json', 'history/1005.json']) {
+    await assert.rejects(fs.access(path.join(env.outputDir, file)));
+  }
+  const transitions = await env.readJson('stage_transitions.json');
+  assert.strictEqual(transitions.length, 249);
+  assert.ok(!transitions.some(row => row.deal_id === '1005'));
+  assert.ok((await env.readJson('manifest.json')).removed.includes('history/1005.json'));
+});
+
+test('refuses numeric settings that aren\'t numbers or are out of range', () => {
+  assert.throws(() => loadConfig(env.settings({ CONCURRENCY: 'abc' })), /CONCURRENCY is not a whole number: abc/);
+  assert.throws(() => loadConfig(env.settings({ CONCURRENCY: '0' })), /CONCURRENCY must be at least 1/);
+  assert.throws(() => loadConfig(env.settings({ CONTENT_MAX_MB: 'lots' })), /CONTENT_MAX_MB is not a positive number/);
+  assert.strictEqual(loadConfig(env.settings({ CONCURRENCY: '3' })).concurrency, 3);
+  assert.strictEqual(loadConfig(env.settings()).concurrency, 5);
+});
+
+test('the worker pool runs every item even without a usable concurrency', async () => {
+  for (const concurrency of [NaN, 0, undefined]) {
+    const done = [];
+    await runPool([1, 2, 3], concurrency, async item => done.push(item));
+    assert.deepStrictEqual(done, [1, 2, 3]);
+  }
+});
@@ -0,0 +1,68 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { EXIT_CODES } = require('../hubspot-sync');
+const { createTokenManager } = require('../lib/tokens');
+const { buildPortal, createTestEnvironment } = require('./helpers');
+
+// OAuth tokens as left in .env by older versions, valid for another hour
+const OAUTH_ENV = {
+  HUBSPOT_CLIENT_ID: 'test-client',
+  HUBSPOT_CLIENT_SECRET: 'test-secret',
+  HUBSPOT_ACCESS_TOKEN: 'test-token',
+  HUBSPOT_REFRESH_TOKEN: 'test-refresh',
+  HUBSPOT_TOKEN_EXPIRES_AT: String(Date.now() + 60 * 60 * 1000)
+};
+
+let env;
+
+beforeEach(async () => {
+  env = await createTestEnvironment(buildPortal({ deals: 120, notesPerDeal: 1 }));
+});
+
+afterEach(async () => {
+  await env.cleanup();
+});
+
+function refreshRequests() {
+  return env.mock.requestsTo('POST', /^\/oauth\/v1\/token$/)
+    .filter(request => new URLSearchParams(request.body).get('grant_type') === 'refresh_token');
+}
+
+test('refreshes a token that expires in the middle of a run, once for all parallel requests', async () => {
+  env.mock.expireTokensAfter(4);
+
+  assert.strictEqual(await env.createTestSync({ ...OAUTH_ENV, BATCH_SIZE: '10' }).run({ useSyncState: true }), EXIT_CODES.completed);
+
+  assert.strictEqual(refreshRequests().length, 1);
+  const tokens = await env.readJson('.hubspot-tokens.json');
+  assert.strictEqual(tokens.accessToken, 'access-1');
+  assert.strictEqual(tokens.refreshToken, 'refresh-1');
+  const last = env.mock.requests[env.mock.requests.length - 1];
+  assert.strictEqual(last.token, 'access-1');
+  assert.strictEqual((await env.readJson('deals.json')).length, 120);
+  assert.strictEqual((await env.readJson('manifest.json')).failedRecords, 0);
+});
+
+test('refreshes an expired token before the first request', async () => {
+  const sync = env.createTestSync({ ...OAUTH_ENV, HUBSPOT_TOKEN_EXPIRES_AT: String(Date.now() - 1000) });
+
+  assert.strictEqual(await sync.run({ useSyncState: true }), EXIT_CODES.completed);
+
+  assert.strictEqual(refreshRequests().length, 1);
+  assert.ok(env.mock.requests.every(request => request.token !== 'test-token'), 'the expired token is never sent');
+});
+
+test('stores the tokens from an authorization code with the portal ID, readable by the owner only', async () => {
+  const tokenFile = path.join(env.outputDir, 'tokens', 'portal.json');
+  const tokens = createTokenManager({ clientId: 'test-client', clientSecret: 'test-secret', tokenFile, basePath: env.mock.url });
+  await tokens.load();
+
+  const stored = await tokens.exchangeCode('test-code', 'http://localhost:3000/oauth-callback');
+
+  assert.strictEqual(stored.portalId, 4242);
+  assert.strictEqual(stored.accessToken, 'access-1');
+  assert.strictEqual((await fs.stat(tokenFile)).mode & 0o777, 0o600);
+  await assert.rejects(() => tokens.exchangeCode('wrong-code', 'http://localhost:3000/oauth-callback'));
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { checkSignature } = require('../lib/webhooks');
+
+const REQUEST = { secret: 'test-secret', method: 'POST', uri: 'https://example.com/webhooks', body: '[]' };
+
+function sign(timestamp) {
+  return crypto.createHmac('sha256', REQUEST.secret)
+    .update(`${REQUEST.method}${REQUEST.uri}${REQUEST.body}${timestamp}`)
+    .digest('base64');
+}
+
+test('accepts a request signed with the client secret within five minutes', () => {
+  const now = Date.now();
+  assert.strictEqual(checkSignature({ ...REQUEST, timestamp: String(now - 1000), signature: sign(now - 1000), now }), null);
+  assert.strictEqual(checkSignature({ ...REQUEST, timestamp: String(now), signature: sign(now + 1), now }), 'signature does not match');
+});
+
+test('rejects a timestamp that is too old or not a number, even when it is signed', () => {
+  const now = Date.now();
+  const old = now - 10 * 60 * 1000;
+  assert.strictEqual(checkSignature({ ...REQUEST, timestamp: String(old), signature: sign(old), now }), 'request timestamp is too old');
+  assert.strictEqual(checkSignature({ ...REQUEST, timestamp: 'soon', signature: sign('soon'), now }), 'request timestamp is not a number');
+});
+
+test('requiring the receiver neither loads the configuration nor sets up logging', () => {
+  const log = console.log;
+  const { createReceiver } = require('../hubspot-webhooks');
+
+  assert.strictEqual(console.log, log);
+  assert.strictEqual(typeof createReceiver, 'function');
+  assert.ok(!Object.keys(require.cache).some(file => file.endsWith('hubspot-sync.js')));
+});